@@ -10,7 +10,7 @@ import { Progress } from "@/components/ui/progress";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
 import { toast } from "sonner";
-import { BookOpen, PenTool, Play, Shuffle, RotateCw, Eye, Check, Lightbulb, Volume2, Swords, Sparkles, ArrowRightLeft, Eraser, Info } from "lucide-react";
+import { BookOpen, PenTool, Play, Shuffle, RotateCw, Eye, Check, Lightbulb, Volume2, Swords, Sparkles, ArrowRightLeft, Eraser, Info, CalendarClock, Keyboard, BarChart3, Trash2, Pause, SkipBack, SkipForward, RotateCcw, Download, Upload, History, Undo2, Redo2, Timer, Heart, Trophy } from "lucide-react";
 
 /**
  * Katakana Trainer — Random Quiz + Stroke Order (single-file React component)
@@ -18,266 +18,2037 @@ import { BookOpen, PenTool, Play, Shuffle, RotateCw, Eye, Check, Lightbulb, Volu
  * What you get
  * - Two quiz modes: "Kana → Romaji" and "Romaji → Kana" (+ Mixed)
  * - Randomized questions, Reveal, Streak, Score, High Score (localStorage)
- * - Study tab with full katakana chart and quick filters
- * - Stroke Practice with tracing canvas + direction matching (approximate) and a dynamic guide link
+ * - Settings and the in-progress session survive reloads (versioned storage that still reads the old unversioned records,
+ *   plus corrupt/full-storage recovery)
+ * - Gojūon plus dakuten / handakuten rows, yōon combos (キャ, シュ…), small ッ and the long-vowel mark ー
+ * - Extended loanword combos (ファ, ティ, ヴ, ウィ…) as an opt-in, clearly marked non-standard group
+ * - Answers accepted in Hepburn, Kunrei-shiki or Nihon-shiki (plus IME spellings like "nn"); pick which one is shown
+ * - Words mode: read bundled loanwords (コーヒー, テレビ…) in romaji or write them from their reading
+ * - Hiragana ↔ Katakana modes (hiragana twins derived from the Unicode offset) and an optional hiragana overlay on the chart
+ * - Built-in romaji → katakana IME for kana answers (works on any keyboard, no OS input method needed)
+ * - Multiple choice (4–6 options, keys 1–6) with look-alike distractors (シ/ツ, ソ/ン, ク/ケ/タ…)
+ * - Write from memory: draw the kana on a blank canvas; a local point-cloud recognizer ranks it against every entry
+ * - Listening mode: the kana is only heard (recorded clips if you add them, else a ja-JP voice) — type the romaji or pick the katakana
+ * - Look-alike drill: curated confusable groups side by side, plus pairs learned from your own mistakes
+ * - Lessons: N questions or every active kana once, then results (missed items, time, accuracy by row, "retry missed")
+ * - Timed games: Sprint (60 s), Survival (3 lives, shrinking clock) and Perfect run (whole pool once), each with its own leaderboard
+ * - Spaced repetition (SM-2 style): due and struggling kana are asked first; ease / interval / due date saved locally
+ * - Study tab with full katakana chart (gojūon table with blanks, or compact grid) and quick filters: search by romaji / kana,
+ *   row, new / learning / struggling / learned from your history, then "Quiz these" on exactly what's shown
+ * - Each chart tile opens a detail panel (typefaces, strokes, hiragana, example words, look-alikes, your accuracy history,
+ *   hear / trace / quiz)
+ * - Mnemonics for every entry (built-in hooks, or write your own per kana): shown on Reveal, after a miss and in the Study
+ *   chart; saved locally, export / import as JSON
+ * - Stats tab: per-kana attempts / accuracy / reveals / hints / response time, heatmap, daily trend, "weakest 10" quiz
+ * - Stroke Practice with tracing canvas checked against bundled stroke paths (start / end / shape per stroke); sharp on HiDPI screens and
+ *   at any size (strokes are kept in glyph-box units, so checking is resolution-independent)
+ * - Tracing score 0–100 with a per-stroke breakdown (count, order, direction, proportion, deviation); best + history per kana
+ * - Stroke endings checked per stroke (tome / hane / harai) from speed + pressure; ink drawn with a brush-like width
+ * - Traces are recorded with timing: replay them stroke by stroke, export / import as JSON or SVG
+ * - Undo / redo (Ctrl+Z / Ctrl+Shift+Z) and "Retry stroke" on the tracing canvas
  * - Clean, modern UI (Tailwind + shadcn/ui) with subtle animations (Framer Motion)
  *
  * Notes on stroke order
- * - The tracing validator checks stroke *direction patterns* (horizontal / vertical / diagonal-up / diagonal-down).
- * - For exact animated stroke order, use the in-app "Open Animation" button (sources: japanese-lesson.com / MaikoJapan).
+ * - Stroke paths are bundled (KANA_PATHS, KanjiVG-style, 100×100). Each traced stroke must start and end near the
+ *   reference stroke and follow its shape, so e.g. a ノ drawn bottom-up is rejected as "drawn backwards".
+ * - The direction chips in the character detail are read off the same paths (strokeDir): the way each stroke sets off,
+ *   or a dot for short marks.
+ * - Quick Reference animates the stroke order from the same paths (play / pause / step, adjustable speed) — no external links.
+ *
+ * Notes on audio
+ * - No clips ship with the app yet: the bundled per-mora set the listening mode was asked for still has to be
+ *   recorded and added — 122 files, one per distinct romaji outside the marks row. Listening mode first tries
+ *   public/audio/kana/<hepburn romaji>.mp3 (a.mp3, kya.mp3, ji.mp3 for both ジ and ヂ…), so recordings dropped in there
+ *   are used, and otherwise speaks the kana with a ja-JP speechSynthesis voice. Without either it says so on screen.
  */
 
 // ----------------------------
-// Data: katakana + romaji + approximate direction patterns
-// direction keys our tracer understands: "H" (horizontal), "V" (vertical), "DU" (diagonal-up \\), "DD" (diagonal-down /), "DOT" (short mark)
-// The arrays below are *approximations* of handwriting direction, sufficient for practice; consult the animation link for canonical forms.
+// Data: katakana + romaji
+// ----------------------------
+
+type KanaEntry = { kana: string; romaji: string; row: string; note?: string };
+
+const KATAKANA: KanaEntry[] = [
+  // A-row
+  { kana: "ア", romaji: "a", row: "a" },
+  { kana: "イ", romaji: "i", row: "a" },
+  { kana: "ウ", romaji: "u", row: "a" },
+  { kana: "エ", romaji: "e", row: "a" },
+  { kana: "オ", romaji: "o", row: "a" },
+  // KA-row
+  { kana: "カ", romaji: "ka", row: "ka" },
+  { kana: "キ", romaji: "ki", row: "ka" },
+  { kana: "ク", romaji: "ku", row: "ka" },
+  { kana: "ケ", romaji: "ke", row: "ka" },
+  { kana: "コ", romaji: "ko", row: "ka" },
+  // SA-row
+  { kana: "サ", romaji: "sa", row: "sa" },
+  { kana: "シ", romaji: "shi", row: "sa" },
+  { kana: "ス", romaji: "su", row: "sa" },
+  { kana: "セ", romaji: "se", row: "sa" },
+  { kana: "ソ", romaji: "so", row: "sa" },
+  // TA-row
+  { kana: "タ", romaji: "ta", row: "ta" },
+  { kana: "チ", romaji: "chi", row: "ta" },
+  { kana: "ツ", romaji: "tsu", row: "ta" },
+  { kana: "テ", romaji: "te", row: "ta" },
+  { kana: "ト", romaji: "to", row: "ta" },
+  // NA-row
+  { kana: "ナ", romaji: "na", row: "na" },
+  { kana: "ニ", romaji: "ni", row: "na" },
+  { kana: "ヌ", romaji: "nu", row: "na" },
+  { kana: "ネ", romaji: "ne", row: "na" },
+  { kana: "ノ", romaji: "no", row: "na" },
+  // HA-row
+  { kana: "ハ", romaji: "ha", row: "ha" },
+  { kana: "ヒ", romaji: "hi", row: "ha" },
+  { kana: "フ", romaji: "fu", row: "ha" },
+  { kana: "ヘ", romaji: "he", row: "ha" },
+  { kana: "ホ", romaji: "ho", row: "ha" },
+  // MA-row
+  { kana: "マ", romaji: "ma", row: "ma" },
+  { kana: "ミ", romaji: "mi", row: "ma" },
+  { kana: "ム", romaji: "mu", row: "ma" },
+  { kana: "メ", romaji: "me", row: "ma" },
+  { kana: "モ", romaji: "mo", row: "ma" },
+  // YA-row
+  { kana: "ヤ", romaji: "ya", row: "ya" },
+  { kana: "ユ", romaji: "yu", row: "ya" },
+  { kana: "ヨ", romaji: "yo", row: "ya" },
+  // RA-row
+  { kana: "ラ", romaji: "ra", row: "ra" },
+  { kana: "リ", romaji: "ri", row: "ra" },
+  { kana: "ル", romaji: "ru", row: "ra" },
+  { kana: "レ", romaji: "re", row: "ra" },
+  { kana: "ロ", romaji: "ro", row: "ra" },
+  // WA-row
+  { kana: "ワ", romaji: "wa", row: "wa" },
+  { kana: "ヲ", romaji: "wo", row: "wa" },
+  { kana: "ン", romaji: "n", row: "wa" },
+  // GA-row (dakuten ゛ = two short ticks)
+  { kana: "ガ", romaji: "ga", row: "ga" },
+  { kana: "ギ", romaji: "gi", row: "ga" },
+  { kana: "グ", romaji: "gu", row: "ga" },
+  { kana: "ゲ", romaji: "ge", row: "ga" },
+  { kana: "ゴ", romaji: "go", row: "ga" },
+  // ZA-row (dakuten ゛ = two short ticks)
+  { kana: "ザ", romaji: "za", row: "za" },
+  { kana: "ジ", romaji: "ji", row: "za" },
+  { kana: "ズ", romaji: "zu", row: "za" },
+  { kana: "ゼ", romaji: "ze", row: "za" },
+  { kana: "ゾ", romaji: "zo", row: "za" },
+  // DA-row (dakuten ゛ = two short ticks)
+  { kana: "ダ", romaji: "da", row: "da" },
+  { kana: "ヂ", romaji: "ji", row: "da" },
+  { kana: "ヅ", romaji: "zu", row: "da" },
+  { kana: "デ", romaji: "de", row: "da" },
+  { kana: "ド", romaji: "do", row: "da" },
+  // BA-row (dakuten ゛ = two short ticks)
+  { kana: "バ", romaji: "ba", row: "ba" },
+  { kana: "ビ", romaji: "bi", row: "ba" },
+  { kana: "ブ", romaji: "bu", row: "ba" },
+  { kana: "ベ", romaji: "be", row: "ba" },
+  { kana: "ボ", romaji: "bo", row: "ba" },
+  // PA-row (handakuten ゜ = small circle, traced as a short mark)
+  { kana: "パ", romaji: "pa", row: "pa" },
+  { kana: "ピ", romaji: "pi", row: "pa" },
+  { kana: "プ", romaji: "pu", row: "pa" },
+  { kana: "ペ", romaji: "pe", row: "pa" },
+  { kana: "ポ", romaji: "po", row: "pa" },
+  // Yōon: consonant + small ャ/ュ/ョ (strokes = base kana followed by the small kana)
+  { kana: "キャ", romaji: "kya", row: "kya" },
+  { kana: "キュ", romaji: "kyu", row: "kya" },
+  { kana: "キョ", romaji: "kyo", row: "kya" },
+  { kana: "シャ", romaji: "sha", row: "sha" },
+  { kana: "シュ", romaji: "shu", row: "sha" },
+  { kana: "ショ", romaji: "sho", row: "sha" },
+  { kana: "チャ", romaji: "cha", row: "cha" },
+  { kana: "チュ", romaji: "chu", row: "cha" },
+  { kana: "チョ", romaji: "cho", row: "cha" },
+  { kana: "ニャ", romaji: "nya", row: "nya" },
+  { kana: "ニュ", romaji: "nyu", row: "nya" },
+  { kana: "ニョ", romaji: "nyo", row: "nya" },
+  { kana: "ヒャ", romaji: "hya", row: "hya" },
+  { kana: "ヒュ", romaji: "hyu", row: "hya" },
+  { kana: "ヒョ", romaji: "hyo", row: "hya" },
+  { kana: "ミャ", romaji: "mya", row: "mya" },
+  { kana: "ミュ", romaji: "myu", row: "mya" },
+  { kana: "ミョ", romaji: "myo", row: "mya" },
+  { kana: "リャ", romaji: "rya", row: "rya" },
+  { kana: "リュ", romaji: "ryu", row: "rya" },
+  { kana: "リョ", romaji: "ryo", row: "rya" },
+  { kana: "ギャ", romaji: "gya", row: "gya" },
+  { kana: "ギュ", romaji: "gyu", row: "gya" },
+  { kana: "ギョ", romaji: "gyo", row: "gya" },
+  { kana: "ジャ", romaji: "ja", row: "ja" },
+  { kana: "ジュ", romaji: "ju", row: "ja" },
+  { kana: "ジョ", romaji: "jo", row: "ja" },
+  { kana: "ビャ", romaji: "bya", row: "bya" },
+  { kana: "ビュ", romaji: "byu", row: "bya" },
+  { kana: "ビョ", romaji: "byo", row: "bya" },
+  { kana: "ピャ", romaji: "pya", row: "pya" },
+  { kana: "ピュ", romaji: "pyu", row: "pya" },
+  { kana: "ピョ", romaji: "pyo", row: "pya" },
+  // Extended / loanword combos (non-standard: only used to spell foreign sounds)
+  { kana: "ファ", romaji: "fa", row: "ext" },
+  { kana: "フィ", romaji: "fi", row: "ext" },
+  { kana: "フェ", romaji: "fe", row: "ext" },
+  { kana: "フォ", romaji: "fo", row: "ext" },
+  { kana: "ティ", romaji: "ti", row: "ext" },
+  { kana: "ディ", romaji: "di", row: "ext" },
+  { kana: "トゥ", romaji: "tu", row: "ext" },
+  { kana: "ドゥ", romaji: "du", row: "ext" },
+  { kana: "ウィ", romaji: "wi", row: "ext" },
+  { kana: "ウェ", romaji: "we", row: "ext" },
+  { kana: "ウォ", romaji: "wo", row: "ext" },
+  { kana: "ヴァ", romaji: "va", row: "ext" },
+  { kana: "ヴィ", romaji: "vi", row: "ext" },
+  { kana: "ヴ", romaji: "vu", row: "ext" },
+  { kana: "ヴェ", romaji: "ve", row: "ext" },
+  { kana: "ヴォ", romaji: "vo", row: "ext" },
+  { kana: "シェ", romaji: "she", row: "ext" },
+  { kana: "ジェ", romaji: "je", row: "ext" },
+  { kana: "チェ", romaji: "che", row: "ext" },
+  { kana: "ツァ", romaji: "tsa", row: "ext" },
+  { kana: "イェ", romaji: "ye", row: "ext" },
+  // Marks: small ッ doubles the next consonant, ー lengthens the previous vowel
+  { kana: "ッ", romaji: "xtsu", row: "marks", note: "small tsu — doubles the next consonant (ッカ = kka)" },
+  { kana: "ー", romaji: "-", row: "marks", note: "long-vowel mark — stretches the previous vowel (ケーキ = kēki)" },
+];
+
+const ROWS = [
+  { key: "a", label: "A-row (ア)" },
+  { key: "ka", label: "KA-row (カ)" },
+  { key: "sa", label: "SA-row (サ)" },
+  { key: "ta", label: "TA-row (タ)" },
+  { key: "na", label: "NA-row (ナ)" },
+  { key: "ha", label: "HA-row (ハ)" },
+  { key: "ma", label: "MA-row (マ)" },
+  { key: "ya", label: "YA-row (ヤ)" },
+  { key: "ra", label: "RA-row (ラ)" },
+  { key: "wa", label: "WA-row (ワ)" },
+];
+
+const ROWS_ALL = [
+  ...ROWS.map(r => ({ ...r, group: "basic" })),
+  { key: "ga", label: "GA-row (ガ)", group: "dakuten" },
+  { key: "za", label: "ZA-row (ザ)", group: "dakuten" },
+  { key: "da", label: "DA-row (ダ)", group: "dakuten" },
+  { key: "ba", label: "BA-row (バ)", group: "dakuten" },
+  { key: "pa", label: "PA-row (パ)", group: "dakuten" },
+  { key: "kya", label: "KYA (キャ)", group: "yoon" },
+  { key: "sha", label: "SHA (シャ)", group: "yoon" },
+  { key: "cha", label: "CHA (チャ)", group: "yoon" },
+  { key: "nya", label: "NYA (ニャ)", group: "yoon" },
+  { key: "hya", label: "HYA (ヒャ)", group: "yoon" },
+  { key: "mya", label: "MYA (ミャ)", group: "yoon" },
+  { key: "rya", label: "RYA (リャ)", group: "yoon" },
+  { key: "gya", label: "GYA (ギャ)", group: "yoon" },
+  { key: "ja", label: "JA (ジャ)", group: "yoon" },
+  { key: "bya", label: "BYA (ビャ)", group: "yoon" },
+  { key: "pya", label: "PYA (ピャ)", group: "yoon" },
+  { key: "marks", label: "Marks (ッ ー)", group: "marks" },
+  { key: "ext", label: "Loanword (ファ ティ ヴ…)", group: "extended" },
+];
+
+const ROW_GROUPS = [
+  { key: "basic", label: "Gojūon" },
+  { key: "dakuten", label: "Dakuten & handakuten" },
+  { key: "yoon", label: "Yōon (combos)" },
+  { key: "marks", label: "Small ッ & long ー" },
+  { key: "extended", label: "Extended / loanword", note: "non-standard combos for foreign sounds" },
+];
+
+const groupOf = (k: KanaEntry) => ROWS_ALL.find(r => r.key === k.row)?.group;
+
+// Hiragana twins: the two blocks sit 0x60 apart (ァ U+30A1 … ヶ U+30F6 ↔ ぁ U+3041 … ゖ U+3096); ー and anything
+// else pass through unchanged, so combos (キャ → きゃ) and the long-vowel mark just work.
+const toHiragana = (text: string) =>
+  [...text].map(c => { const cp = c.codePointAt(0)!; return cp >= 0x30a1 && cp <= 0x30f6 ? String.fromCodePoint(cp - 0x60) : c; }).join("");
+const HIRAGANA: Record<string, string> = Object.fromEntries(KATAKANA.map(k => [k.kana, toHiragana(k.kana)]));
+
+// ----------------------------
+// Mnemonics: one hook per basic kana; voiced, half-voiced and combo entries are described from their parts, so every
+// entry has one. Learners can replace any of them with their own (saved under LS_KEYS.mnemonics).
+// ----------------------------
+const MNEMONICS: Record<string, string> = {
+  "ア": "An 'a'xe: a hooked blade on a short handle",
+  "イ": "An 'ea'gle perched on a post, leaning left",
+  "ウ": "A hut with a chimney — 'woo'd smoke rising",
+  "エ": "An 'e'levator shaft: two floors joined by a beam",
+  "オ": "An 'o'ld man with a cane kicking out to the left",
+  "カ": "Hiragana か without its little tick — 'ca'n you spot it?",
+  "キ": "A 'key' with two teeth",
+  "ク": "A 'coo'king pot seen from the side — one lid, one sweep",
+  "ケ": "A 'K' whose arm has slid down: 'ke'",
+  "コ": "Two sides of a box 'co'rner",
+  "サ": "A 'sa'w with two handles",
+  "シ": "A 'she'ep's face smiling up: two eyes, then a rising stroke from the bottom (ツ falls from the top)",
+  "ス": "A 'su'perhero running with a cape",
+  "セ": "Hiragana せ with a squarer back: a 'se'at",
+  "ソ": "A 'so'ft stroke falling down: one tick, then a long sweep from the top right (ン rises from below)",
+  "タ": "ク with an extra line inside — 'ta'ke one more stroke",
+  "チ": "A 'chee'rleader: a cap, arms out, one leg swinging",
+  "ツ": "A 'tsu'nami: three drops falling from the top (シ rises from below)",
+  "テ": "A 'te'lephone pole: a short and a long crossbar",
+  "ト": "A 'to'tem pole with one branch",
+  "ナ": "A 'na'il in a cross, its leg drooping left",
+  "ニ": "Two lines, like 二 (ni = two)",
+  "ヌ": "'Noo'dles pinched between chopsticks",
+  "ネ": "A 'ne'cktie hanging on a hook",
+  "ノ": "One sweep that says 'no'",
+  "ハ": "Two strands of 'ha'ir parting, like 八",
+  "ヒ": "A 'hee'l kicking out to the right",
+  "フ": "A 'foo'tball curving away after the kick",
+  "ヘ": "Same hill as hiragana へ: 'he'ad up and over",
+  "ホ": "A 'ho'ly cross with two feet, like 木",
+  "マ": "'Ma'ma's headscarf knotted under the chin",
+  "ミ": "Three strokes, like 三 (mi-ttsu = three)",
+  "ム": "A 'moo'ing cow's nose",
+  "メ": "An X that crosses out 'me'",
+  "モ": "A 'mo're: two bars and a hook — hiragana も standing straight",
+  "ヤ": "A 'ya'k's horn, like hiragana や",
+  "ユ": "A 'U'-turn sitting on a base line",
+  "ヨ": "A backwards E — 'yo'!",
+  "ラ": "A lid on フ: 'ra'dio antenna",
+  "リ": "Two 'ree'ds, the right one longer — like hiragana り",
+  "ル": "Two 'roo'ts, the right one kicking up",
+  "レ": "A 'le'g bending forward at the knee",
+  "ロ": "A square 'ro'bot head, like 口 (mouth)",
+  "ワ": "A 'wa'ter tap: ウ without the dot",
+  "ヲ": "フ with an extra bar: the object particle 'o' (wo)",
+  "ン": "An 'n'-ose and a long stroke rising from the bottom left (ソ falls from the top)",
+  "ッ": "A shrunken ツ: a tiny pause that doubles the next consonant",
+  "ー": "A long dash: hold the vowel longer",
+};
+
+const builtinMnemonic = (k: KanaEntry): string => {
+  const find = (kana: string) => KATAKANA.find(x => x.kana === kana);
+  if (k.kana.length === 2) {
+    const [big, small] = [...k.kana];
+    const first = find(big);
+    const kind = "ャュョ".includes(small) ? "yōon" : "loanword combo";
+    return `${big} (${first?.romaji ?? "?"}) + a small ${small} glide into one beat: ${k.romaji} — ${kind}`;
+  }
+  if (MNEMONICS[k.kana]) return MNEMONICS[k.kana];
+  const [base, mark] = k.kana.normalize("NFD");
+  const b = find(base);
+  if (mark === "\u309A") return `${base} + the little circle ゜: ${b?.romaji ?? "?"} → ${k.romaji} — pop your lips for a 'p'`;
+  if (mark === "\u3099") return `${base} + the two ticks ゛ voice it: ${b?.romaji ?? "?"} → ${k.romaji}`;
+  return `${k.kana} = ${k.romaji}`;
+};
+
+const MNEMONICS_FORMAT = "katakana-trainer/mnemonics";
+const isMnemonicStore = (v: unknown) => recordOf(v, m => typeof m === "string");
+// the export carries every entry (yours where you wrote one), so it doubles as a printable crib sheet
+const mnemonicsToJSON = (own: Record<string, string>) => JSON.stringify({
+  format: MNEMONICS_FORMAT, version: 1,
+  mnemonics: KATAKANA.map(k => ({ kana: k.kana, romaji: k.romaji, mnemonic: own[k.kana] ?? builtinMnemonic(k), custom: k.kana in own })),
+}, null, 2);
+
+// reads our own export (only the entries marked custom) or a bare { "ア": "…" } map
+const parseMnemonics = (text: string): Record<string, string> => {
+  const data = JSON.parse(text);
+  const pairs: [unknown, unknown][] = Array.isArray(data?.mnemonics)
+    ? data.mnemonics.filter((m: any) => m?.custom).map((m: any) => [m.kana, m.mnemonic])
+    : Object.entries(data ?? {});
+  const good = pairs.filter((p): p is [string, string] => typeof p[1] === "string" && !!p[1].trim() && KATAKANA.some(k => k.kana === p[0]));
+  if (good.length === 0) throw new Error("No mnemonics of your own found.");
+  return Object.fromEntries(good.map(([k, t]) => [k, t.trim()]));
+};
+
+// ----------------------------
+// Romanization: `romaji` in the table is (modified) Hepburn. Kunrei-shiki / Nihon-shiki only differ for a
+// handful of kana, listed below as [kunrei, nihon]. ROMA_EXTRA holds IME-style spellings accepted in any system.
+// ----------------------------
+type RomaSystem = "hepburn" | "kunrei" | "nihon";
+const ROMA_SYSTEMS: { key: RomaSystem; label: string }[] = [
+  { key: "hepburn", label: "Hepburn" },
+  { key: "kunrei", label: "Kunrei-shiki" },
+  { key: "nihon", label: "Nihon-shiki" },
+];
+
+const ROMA_DIFF: Record<string, [string, string]> = {
+  "シ": ["si", "si"], "チ": ["ti", "ti"], "ツ": ["tu", "tu"], "フ": ["hu", "hu"], "ヲ": ["o", "wo"],
+  "ジ": ["zi", "zi"], "ヂ": ["zi", "di"], "ヅ": ["zu", "du"],
+  "シャ": ["sya", "sya"], "シュ": ["syu", "syu"], "ショ": ["syo", "syo"],
+  "チャ": ["tya", "tya"], "チュ": ["tyu", "tyu"], "チョ": ["tyo", "tyo"],
+  "ジャ": ["zya", "zya"], "ジュ": ["zyu", "zyu"], "ジョ": ["zyo", "zyo"],
+};
+
+const ROMA_EXTRA: Record<string, string[]> = {
+  "ン": ["nn", "n'"],
+  "ッ": ["xtu", "ltu", "ltsu"],
+  "ヂ": ["dji"], "ヅ": ["dzu"],
+  "ティ": ["thi"], "ディ": ["dhi"], "トゥ": ["twu"], "ドゥ": ["dwu"],
+  "ウィ": ["whi"], "ウェ": ["whe"], "ウォ": ["who"],
+  "シェ": ["sye"], "ジェ": ["zye", "jye"], "チェ": ["tye", "cye"],
+  "ジャ": ["jya"], "ジュ": ["jyu"], "ジョ": ["jyo"], "チャ": ["cya"], "チュ": ["cyu"], "チョ": ["cyo"],
+};
+
+const romanize = (k: KanaEntry, system: RomaSystem) =>
+  system === "hepburn" ? k.romaji : ROMA_DIFF[k.kana]?.[system === "kunrei" ? 0 : 1] ?? k.romaji;
+
+// ----------------------------
+// Built-in IME: live romaji → katakana for kana answers, so no OS Japanese input is needed.
+// Table spellings win over Kunrei/Nihon/IME ones on clashes ("ti" = ティ as shown in the chart, "chi"/"thi" also work),
+// except that Kunrei / Nihon learners type ti / tu / di / du for チ / ツ / ヂ / ヅ like on a real IME (IME_TRADITIONAL);
+// the loanword kana then stay on thi / twu / dhi / dwu.
+// ----------------------------
+const IME_SMALL: Record<string, string> = {
+  xa: "ァ", xi: "ィ", xu: "ゥ", xe: "ェ", xo: "ォ", la: "ァ", li: "ィ", lu: "ゥ", le: "ェ", lo: "ォ",
+  xya: "ャ", xyu: "ュ", xyo: "ョ", lya: "ャ", lyu: "ュ", lyo: "ョ", xtsu: "ッ", ltsu: "ッ", xtu: "ッ", ltu: "ッ",
+};
+
+const ROMA_TO_KANA: Record<string, string> = (() => {
+  const map: Record<string, string> = {};
+  const add = (r: string, kana: string) => { if (!(r in map)) map[r] = kana; };
+  KATAKANA.forEach(k => add(k.romaji, k.kana));
+  KATAKANA.forEach(k => { const d = ROMA_DIFF[k.kana]; if (d) { add(d[0], k.kana); add(d[1], k.kana); } });
+  KATAKANA.forEach(k => (ROMA_EXTRA[k.kana] ?? []).forEach(r => add(r, k.kana)));
+  Object.entries(IME_SMALL).forEach(([r, kana]) => add(r, kana));
+  delete map["n"]; delete map["nn"]; delete map["n'"]; // ン is handled by the n-rules below
+  return map;
+})();
+const IME_TRADITIONAL: Record<string, string> = { ...ROMA_TO_KANA, ti: "チ", tu: "ツ", di: "ヂ", du: "ヅ" };
+const IME_MAX_KEY = Math.max(...Object.keys(ROMA_TO_KANA).map(r => r.length));
+const isVowel = (c: string) => "aeiou".includes(c);
+
+// `final` flushes a trailing "n" to ン (on submit); while typing it stays latin so "na"/"nya" can still follow.
+const romajiToKana = (raw: string, final = false, system: RomaSystem = "hepburn"): string => {
+  const s = raw.toLowerCase(), table = system === "hepburn" ? ROMA_TO_KANA : IME_TRADITIONAL;
+  let out = "";
+  for (let i = 0; i < s.length;) {
+    const c = s[i], next = s[i + 1] ?? "";
+    if (!/[a-z'-]/.test(c)) { out += c; i++; continue; } // kana typed directly, spaces, etc.
+    if (c === "n" && (next === "n" || next === "'")) { out += "ン"; i += 2; continue; }
+    if (c === "n" && next && !isVowel(next) && next !== "y") { out += "ン"; i++; continue; }
+    if (c === "n" && !next) { out += final ? "ン" : "n"; i++; continue; }
+    // doubled consonant (kk, tt, tch) → ッ
+    if (/[bcdfghjkmpqrstvwxyz]/.test(c) && (next === c || (c === "t" && s.slice(i + 1, i + 3) === "ch"))) { out += "ッ"; i++; continue; }
+    let hit = "";
+    for (let len = Math.min(IME_MAX_KEY, s.length - i); len > 0 && !hit; len--) {
+      if (table[s.slice(i, i + len)]) hit = s.slice(i, i + len);
+    }
+    if (hit) { out += table[hit]; i += hit.length; continue; }
+    out += c; i++; // incomplete syllable (or a typo): keep the latin letter
+  }
+  return out;
+};
+
+// Which system a typed romaji belongs to for this kana ("extra" = IME spelling), or null if it's wrong.
+const matchRomaji = (k: KanaEntry, typed: string, preferred: RomaSystem): RomaSystem | "extra" | null => {
+  const order = [preferred, ...ROMA_SYSTEMS.map(r => r.key).filter(r => r !== preferred)];
+  const sys = order.find(r => romanize(k, r) === typed);
+  if (sys) return sys;
+  return ROMA_EXTRA[k.kana]?.includes(typed) ? "extra" : null;
+};
+
+// Longest-match split of a word into table entries (キャ before キ); null if any character isn't in the table.
+const splitKana = (word: string): KanaEntry[] | null => {
+  const out: KanaEntry[] = [];
+  for (let i = 0; i < word.length;) {
+    const hit = KATAKANA.find(k => k.kana === word.slice(i, i + 2) && k.kana.length === 2) ?? KATAKANA.find(k => k.kana === word[i]);
+    if (!hit) return null;
+    out.push(hit); i += hit.kana.length;
+  }
+  return out;
+};
+
+const MACRON: Record<string, string> = { a: "ā", i: "ī", u: "ū", e: "ē", o: "ō" };
+
+// Reading of a whole word: ッ doubles the next consonant (ch → tch), ー lengthens the previous vowel.
+// `display` uses macrons (kōhī); `accepted` also allows doubled vowels (koohii) and IME-style dashes (ko-hi-).
+const readWord = (word: string, system: RomaSystem): { display: string; accepted: string[] } | null => {
+  const tokens = splitKana(word);
+  if (!tokens) return null;
+  let macron = "", doubled = "", ime = "";
+  tokens.forEach((t, i) => {
+    if (t.kana === "ッ") {
+      const next = tokens[i + 1] ? romanize(tokens[i + 1], system)[0] : "";
+      const c = next === "c" ? "t" : next;
+      macron += c; doubled += c; ime += c;
+    } else if (t.kana === "ー") {
+      const v = doubled.slice(-1);
+      macron = MACRON[v] ? macron.slice(0, -1) + MACRON[v] : macron; doubled += v; ime += "-";
+    } else {
+      const r = romanize(t, system);
+      macron += r; doubled += r; ime += r;
+    }
+  });
+  return { display: macron, accepted: Array.from(new Set([macron, doubled, ime])) };
+};
+
+type Prompt = { prompt: string; answer: string; kind: "romaji" | "kana" | "hira" };
+type Verdict = { good: boolean; notice?: string };
+
+// Kana answers also accept homophones (ジ/ヂ = ji, ズ/ヅ = zu, チ/ティ in Kunrei) since the romaji prompt can't tell them apart.
+const judgeAnswer = (k: KanaEntry, p: Prompt, typed: string, system: RomaSystem): Verdict => {
+  const t = typed.trim().toLowerCase();
+  const systemLabel = (r: RomaSystem) => ROMA_SYSTEMS.find(x => x.key === r)!.label;
+  if (p.kind === "hira") {
+    if (t === HIRAGANA[k.kana]) return { good: true };
+    return { good: false, notice: t === k.kana ? "That's the katakana — answer in hiragana" : undefined };
+  }
+  if (p.kind === "kana") {
+    if (t === k.kana) return { good: true };
+    const other = KATAKANA.find(x => x.kana === t);
+    if (other && matchRomaji(other, p.prompt, system)) return { good: true, notice: `${t} also reads “${p.prompt}”, but the usual spelling is ${k.kana}` };
+    return { good: false };
+  }
+  const sys = matchRomaji(k, t, system);
+  if (!sys) return { good: false };
+  if (sys === system || sys === "extra") return { good: true };
+  return { good: true, notice: `Correct, but in ${systemLabel(system)} it's “${p.answer}” (“${t}” is ${systemLabel(sys)})` };
+};
+
+// Look-alike groups: deliberate distractors in multiple choice, and the curated table for the look-alike drill.
+// `focus` boxes (x, y, w, h as fractions of the glyph) mark the strokes that tell the group apart.
+type LookalikeGroup = { kana: string[]; tip?: string; focus?: Record<string, [number, number, number, number]>; personal?: boolean };
+
+const LOOKALIKES: LookalikeGroup[] = [
+  { kana: ["シ", "ツ"], tip: "シ: ticks stacked on the left, long stroke sweeps UP. ツ: ticks side by side on top, long stroke falls DOWN.",
+    focus: { "シ": [0.05, 0.1, 0.4, 0.5], "ツ": [0.05, 0.05, 0.65, 0.35] } },
+  { kana: ["ソ", "ン"], tip: "ソ: first tick is near-vertical, long stroke falls from the top. ン: first tick is near-horizontal, long stroke sweeps up from the bottom.",
+    focus: { "ソ": [0.1, 0.1, 0.3, 0.45], "ン": [0.05, 0.15, 0.4, 0.3] } },
+  { kana: ["ク", "ケ", "タ"], tip: "ク: just two strokes. ケ: the bar crosses out to the right and the tail is separate. タ: an extra tick inside ク.",
+    focus: { "ク": [0.45, 0.1, 0.45, 0.35], "ケ": [0.35, 0.25, 0.6, 0.3], "タ": [0.3, 0.35, 0.45, 0.3] } },
+  { kana: ["ス", "ヌ"], tip: "ス: the short stroke hangs off the bottom right. ヌ: the short stroke crosses through the middle.",
+    focus: { "ス": [0.5, 0.5, 0.45, 0.45], "ヌ": [0.25, 0.3, 0.5, 0.45] } },
+  { kana: ["ウ", "ワ", "フ"], tip: "ウ: a dot on top. ワ: no dot, but a short left side. フ: a single stroke with no left side at all.",
+    focus: { "ウ": [0.35, 0.0, 0.3, 0.3], "ワ": [0.08, 0.15, 0.3, 0.4], "フ": [0.0, 0.1, 0.35, 0.4] } },
+  { kana: ["コ", "ユ", "ロ"], tip: "コ: open on the left. ユ: the bottom bar runs past both sides. ロ: a closed box — the left side is a stroke of its own.",
+    focus: { "コ": [0.05, 0.15, 0.3, 0.7], "ユ": [0.0, 0.65, 1.0, 0.25], "ロ": [0.1, 0.18, 0.2, 0.66] } },
+  { kana: ["チ", "テ"], tip: "チ: the top stroke slants and the vertical pierces the bar. テ: two flat bars, the stroke hangs below them.",
+    focus: { "チ": [0.35, 0.0, 0.55, 0.4], "テ": [0.15, 0.05, 0.7, 0.35] } },
+  { kana: ["シ", "ミ"] }, { kana: ["ソ", "リ"] }, { kana: ["ア", "マ"] }, { kana: ["ル", "レ"] }, { kana: ["ヌ", "メ", "ナ"] },
+  { kana: ["ヨ", "ヲ"] }, { kana: ["エ", "ニ"] }, { kana: ["セ", "ヒ"] }, { kana: ["ツ", "ッ"] }, { kana: ["ヤ", "セ"] },
+  { kana: ["オ", "ホ"] }, { kana: ["ハ", "ル"] }, { kana: ["ム", "ス"] },
+];
+
+// personal confusions are stored as "A|B" (sorted) → times mixed up
+const pairKey = (a: string, b: string) => [a, b].sort().join("|");
+const PERSONAL_PAIR_MIN = 2;
+
+// ----------------------------
+// Words: bundled loanword dictionary. Readings are derived from the kana table, so a word is only
+// playable when every one of its characters is in the active rows.
+// ----------------------------
+type WordEntry = { kana: string; gloss: string };
+
+const WORDS: WordEntry[] = [
+  { kana: "コーヒー", gloss: "coffee" },
+  { kana: "テレビ", gloss: "television" },
+  { kana: "コンピューター", gloss: "computer" },
+  { kana: "カメラ", gloss: "camera" },
+  { kana: "ホテル", gloss: "hotel" },
+  { kana: "タクシー", gloss: "taxi" },
+  { kana: "バス", gloss: "bus" },
+  { kana: "パン", gloss: "bread" },
+  { kana: "アイスクリーム", gloss: "ice cream" },
+  { kana: "ケーキ", gloss: "cake" },
+  { kana: "ノート", gloss: "notebook" },
+  { kana: "ペン", gloss: "pen" },
+  { kana: "テスト", gloss: "test" },
+  { kana: "ラジオ", gloss: "radio" },
+  { kana: "ゲーム", gloss: "game" },
+  { kana: "メール", gloss: "email" },
+  { kana: "ニュース", gloss: "news" },
+  { kana: "スポーツ", gloss: "sports" },
+  { kana: "サッカー", gloss: "soccer" },
+  { kana: "テニス", gloss: "tennis" },
+  { kana: "ピアノ", gloss: "piano" },
+  { kana: "ギター", gloss: "guitar" },
+  { kana: "レストラン", gloss: "restaurant" },
+  { kana: "メニュー", gloss: "menu" },
+  { kana: "ビール", gloss: "beer" },
+  { kana: "ワイン", gloss: "wine" },
+  { kana: "ジュース", gloss: "juice" },
+  { kana: "ミルク", gloss: "milk" },
+  { kana: "トマト", gloss: "tomato" },
+  { kana: "バナナ", gloss: "banana" },
+  { kana: "レモン", gloss: "lemon" },
+  { kana: "チーズ", gloss: "cheese" },
+  { kana: "サラダ", gloss: "salad" },
+  { kana: "スープ", gloss: "soup" },
+  { kana: "アメリカ", gloss: "America" },
+  { kana: "カナダ", gloss: "Canada" },
+  { kana: "イギリス", gloss: "the UK" },
+  { kana: "ドイツ", gloss: "Germany" },
+  { kana: "フランス", gloss: "France" },
+  { kana: "シャツ", gloss: "shirt" },
+  { kana: "ネクタイ", gloss: "necktie" },
+  { kana: "エレベーター", gloss: "elevator" },
+  { kana: "トイレ", gloss: "toilet" },
+  { kana: "ベッド", gloss: "bed" },
+  { kana: "テーブル", gloss: "table" },
+  { kana: "ナイフ", gloss: "knife" },
+  { kana: "アニメ", gloss: "anime" },
+  { kana: "スマホ", gloss: "smartphone" },
+  { kana: "チョコレート", gloss: "chocolate" },
+  { kana: "ショッピング", gloss: "shopping" },
+  { kana: "インターネット", gloss: "internet" },
+  { kana: "フォーク", gloss: "fork" },
+  { kana: "パーティー", gloss: "party" },
+  { kana: "ソファ", gloss: "sofa" },
+  { kana: "ヴァイオリン", gloss: "violin" },
+];
+
+// Helpers
+const rand = (n: number) => Math.floor(Math.random() * n);
+const shuffled = <T,>(list: T[]): T[] => {
+  const a = [...list];
+  for (let i = a.length - 1; i > 0; i--) { const j = rand(i + 1); [a[i], a[j]] = [a[j], a[i]]; }
+  return a;
+};
+
+// ----------------------------
+// LocalStorage helpers — versioned persistence
+// Every record is written as { v, data }. Records written before the envelope existed (bare JSON, or the plain
+// high-score number) are read as they are and rewritten in the envelope on the next save; the key names keep their
+// _v1 suffix, since the data inside didn't change. Unreadable records, and ones that fail their store's shape check,
+// are moved aside to "<key>__corrupt" so the app starts clean; a full quota drops those backups and retries once.
+// ----------------------------
+const LS_KEYS = {
+  highScore: "katakana_high_score_v1",
+  settings: "katakana_settings_v1",
+  session: "katakana_session_v1",
+  srs: "katakana_srs_v1",
+  confusions: "katakana_confusions_v1",
+  stats: "katakana_stats_v1",
+  tracing: "katakana_tracing_v1",
+  attempts: "katakana_attempts_v1",
+  leaderboards: "katakana_leaderboards_v1",
+  mnemonics: "katakana_mnemonics_v1",
+} as const;
+const STORAGE_PREFIX = "katakana_";
+const STORAGE_VERSION = 2; // 1 was the bare, unwrapped records; a future format change bumps this and converts on load
+
+
+let storageWarned = false;
+const warnStorage = (title: string, description: string) => {
+  if (storageWarned) return; // once per page load is enough
+  storageWarned = true;
+  toast.error(title, { description });
+};
+
+const isQuotaError = (e: unknown) =>
+  e instanceof DOMException && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22);
+
+// shape checks for stored records; a record that fails its check is set aside like unreadable JSON
+const isRecord = (v: unknown): v is Record<string, any> => !!v && typeof v === "object" && !Array.isArray(v);
+const isCount = (v: unknown): v is number => typeof v === "number" && Number.isFinite(v) && v >= 0;
+const numbersIn = (v: unknown, keys: string[]) => isRecord(v) && keys.every(k => typeof v[k] === "number" && Number.isFinite(v[k]));
+const recordOf = (v: unknown, ok: (x: any) => boolean) => isRecord(v) && Object.values(v).every(ok);
+
+const loadJSON = <T,>(key: string, fallback: T, valid?: (data: unknown) => boolean): T => {
+  let raw: string | null;
+  try { raw = localStorage.getItem(key); } catch { return fallback; } // storage disabled (privacy mode, sandboxed iframe)
+  if (raw === null) return fallback;
+  try {
+    const parsed = JSON.parse(raw);
+    const enveloped = parsed && typeof parsed === "object" && typeof parsed.v === "number" && "data" in parsed;
+    const data = enveloped ? parsed.data : parsed;
+    if (data == null) return fallback;
+    if (valid && !valid(data)) throw new Error(`unexpected shape in ${key}`);
+    return data as T;
+  } catch {
+    try { localStorage.setItem(`${key}__corrupt`, raw); localStorage.removeItem(key); } catch {}
+    warnStorage("Some saved data was unreadable", "It was reset; a backup copy was kept in local storage.");
+    return fallback;
+  }
+};
+
+const saveJSON = (key: string, value: unknown) => {
+  const payload = JSON.stringify({ v: STORAGE_VERSION, data: value });
+  try {
+    localStorage.setItem(key, payload);
+  } catch (e) {
+    if (!isQuotaError(e)) return;
+    try {
+      Object.keys(localStorage).filter(k => k.endsWith("__corrupt")).forEach(k => localStorage.removeItem(k));
+      localStorage.setItem(key, payload);
+    } catch {
+      warnStorage("Browser storage is full", "Progress from now on won't be saved. Clear some site data or use Reset all local data.");
+    }
+  }
+};
+
+const clearAllStorage = () => {
+  try { Object.keys(localStorage).filter(k => k.startsWith(STORAGE_PREFIX)).forEach(k => localStorage.removeItem(k)); } catch {}
+};
+
+// Settings + in-progress session. Each field is checked on load so a hand-edited or stale record can't break the app.
+type QuizMode = "kana2roma"|"roma2kana"|"mixed"|"words"|"choice"|"confusables"|"write"|"listen"|"hira2kata"|"kata2hira";
+const QUIZ_MODES: QuizMode[] = ["kana2roma", "roma2kana", "mixed", "words", "choice", "confusables", "write", "listen", "hira2kata", "kata2hira"];
+const MODE_LABELS: Record<QuizMode, string> = {
+  kana2roma: "Kana → Romaji", roma2kana: "Romaji → Kana", mixed: "Mixed", words: "Words (loanwords)", choice: "Multiple choice",
+  confusables: "Look-alike drill", write: "Write from memory", listen: "Listening", hira2kata: "Hiragana → Katakana", kata2hira: "Katakana → Hiragana",
+};
+type Settings = { mode: QuizMode; activeRows: string[]; shuffle: boolean; sound: boolean; useSrs: boolean; romaSystem: RomaSystem; ime: boolean; choiceCount: number; hiraOverlay: boolean; studyLayout: StudyLayout };
+type Session = { score: number; streak: number; total: number; question: string | null; word: string | null; focus: string[] | null };
+
+const DEFAULT_SETTINGS: Settings = {
+  mode: "kana2roma", activeRows: ROWS.map(r => r.key), // gojūon only by default; extra groups are opt-in
+  shuffle: true, sound: false, useSrs: true, romaSystem: "hepburn", ime: true, choiceCount: 4, hiraOverlay: false, studyLayout: "compact",
+};
+
+const loadSettings = (): Settings => {
+  const s = loadJSON<Partial<Settings>>(LS_KEYS.settings, {}, isRecord);
+  const d = DEFAULT_SETTINGS;
+  const bool = (v: unknown, def: boolean) => typeof v === "boolean" ? v : def;
+  return {
+    mode: QUIZ_MODES.includes(s.mode as QuizMode) ? s.mode as QuizMode : d.mode,
+    activeRows: Array.isArray(s.activeRows) ? s.activeRows.filter(r => ROWS_ALL.some(x => x.key === r)) : d.activeRows,
+    shuffle: bool(s.shuffle, d.shuffle),
+    sound: bool(s.sound, d.sound),
+    useSrs: bool(s.useSrs, d.useSrs),
+    romaSystem: ROMA_SYSTEMS.some(r => r.key === s.romaSystem) ? s.romaSystem as RomaSystem : d.romaSystem,
+    ime: bool(s.ime, d.ime),
+    choiceCount: [4, 5, 6].includes(s.choiceCount as number) ? s.choiceCount as number : d.choiceCount,
+    hiraOverlay: bool(s.hiraOverlay, d.hiraOverlay),
+    studyLayout: s.studyLayout === "gojuon" || s.studyLayout === "compact" ? s.studyLayout : d.studyLayout,
+  };
+};
+
+const loadSession = (): Session | null => {
+  const s = loadJSON<Session | null>(LS_KEYS.session, null, isRecord);
+  if (!s) return null;
+  const num = (v: unknown) => typeof v === "number" && isFinite(v) && v >= 0 ? v : 0;
+  return {
+    score: num(s.score), streak: num(s.streak), total: num(s.total),
+    question: typeof s.question === "string" ? s.question : null,
+    word: typeof s.word === "string" ? s.word : null,
+    focus: Array.isArray(s.focus) && s.focus.length ? s.focus.filter(k => KATAKANA.some(x => x.kana === k)) : null,
+  };
+};
+
+// ----------------------------
+// Per-kana statistics + daily totals (for the Stats tab)
+// ----------------------------
+type KanaCounts = { attempts: number; correct: number; reveals: number; hints: number; ms: number };
+type DayStats = { attempts: number; correct: number };
+// `days` is the kana's own daily history (last KANA_DAYS_KEEP days it was asked); records from before it existed lack it
+type KanaStats = KanaCounts & { days?: Record<string, DayStats> };
+type StatsStore = { kana: Record<string, KanaStats>; days: Record<string, DayStats> };
+const EMPTY_STATS: StatsStore = { kana: {}, days: {} };
+const isDayStats = (d: unknown) => numbersIn(d, ["attempts", "correct"]);
+const isStatsStore = (v: unknown) => isRecord(v) && recordOf(v.days, isDayStats)
+  && recordOf(v.kana, k => numbersIn(k, ["attempts", "correct", "reveals", "hints", "ms"]) && (k.days === undefined || recordOf(k.days, isDayStats)));
+const KANA_DAYS_KEEP = 30;
+
+// local calendar day, so "today" matches the learner's clock
+const dayKey = (d = new Date()) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+const addDay = (days: Record<string, DayStats>, today: string, attempts: number, correct: number) => {
+  const day = days[today] ?? { attempts: 0, correct: 0 };
+  return { ...days, [today]: { attempts: day.attempts + attempts, correct: day.correct + correct } };
+};
+
+const addStats = (store: StatsStore, kana: string, delta: Partial<KanaCounts>): StatsStore => {
+  const cur = store.kana[kana] ?? { attempts: 0, correct: 0, reveals: 0, hints: 0, ms: 0 };
+  const next = { ...cur };
+  (Object.keys(delta) as (keyof KanaCounts)[]).forEach(f => { next[f] += delta[f] ?? 0; });
+  if (!delta.attempts) return { ...store, kana: { ...store.kana, [kana]: next } };
+  const today = dayKey(), correct = delta.correct ?? 0;
+  const own = addDay(cur.days ?? {}, today, delta.attempts, correct);
+  next.days = Object.fromEntries(Object.keys(own).sort().slice(-KANA_DAYS_KEEP).map(k => [k, own[k]]));
+  return { kana: { ...store.kana, [kana]: next }, days: addDay(store.days, today, delta.attempts, correct) };
+};
+
+const accuracyOf = (s?: KanaStats) => s && s.attempts ? s.correct / s.attempts : null;
+// weakness: smoothed miss rate where every reveal or hint counts as a miss — the same give-away answerQuality
+// scores as a lapse
+const weaknessOf = (s: KanaStats) => 1 - (s.correct + 1) / (s.attempts + s.reveals + s.hints + 2);
+
+// ----------------------------
+// Spaced repetition (SM-2 style)
+// quality: 0..5 as in SM-2 — below 3 counts as a lapse and the card comes back in a few minutes.
+// ----------------------------
+type SrsCard = { ease: number; interval: number; reps: number; lapses: number; due: number; last: number };
+const isSrsStore = (v: unknown) => recordOf(v, c => numbersIn(c, ["ease", "interval", "reps", "lapses", "due", "last"]));
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const srsReview = (card: SrsCard | undefined, quality: number, now = Date.now()): SrsCard => {
+  const c = card ?? { ease: 2.5, interval: 0, reps: 0, lapses: 0, due: now, last: 0 };
+  if (quality < 3) {
+    return { ...c, reps: 0, interval: 0, lapses: c.lapses + 1, ease: Math.max(1.3, c.ease - 0.2), due: now + 10 * MINUTE, last: now };
+  }
+  const ease = Math.max(1.3, c.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  const reps = c.reps + 1;
+  const interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(c.interval * ease);
+  return { ...c, ease, reps, interval, due: now + interval * DAY, last: now };
+};
+
+// quality of a correct answer: unaided is a clean pass. Hint fills in the whole answer in typed modes (and leaves
+// two options in multiple choice), so it counts as the same give-away as Reveal: a lapse either way.
+const answerQuality = (hinted: boolean, revealed: boolean) => hinted || revealed ? 1 : 5;
+// quiz points follow the same rule, so the score never rewards what the scheduler treats as a miss
+const answerPoints = (hinted: boolean, revealed: boolean) => answerQuality(hinted, revealed) >= 3 ? 10 : 5;
+
+// "struggling" = lapsed recently or ease pushed down by repeated misses
+const isStruggling = (c?: SrsCard) => !!c && (c.ease < 2.1 || (c.lapses > 0 && c.reps < 2));
+
+// Pick the next kana: overdue first (most overdue / lowest ease), then struggling, then new, then review-ahead.
+const pickScheduled = <K extends { kana: string }>(pool: K[], srs: Record<string, SrsCard>, shuffle: boolean, avoid?: string, now = Date.now()): K => {
+  const candidates = pool.length > 1 ? pool.filter(k => k.kana !== avoid) : pool;
+  const byUrgency = (a: K, b: K) => (srs[a.kana].due - srs[b.kana].due) || (srs[a.kana].ease - srs[b.kana].ease);
+  const pickFrom = (list: K[]) => list[shuffle ? rand(Math.min(3, list.length)) : 0];
+  const due = candidates.filter(k => srs[k.kana] && srs[k.kana].due <= now).sort(byUrgency);
+  if (due.length) return pickFrom(due);
+  const struggling = candidates.filter(k => isStruggling(srs[k.kana])).sort(byUrgency);
+  if (struggling.length) return pickFrom(struggling);
+  const fresh = candidates.filter(k => !srs[k.kana]);
+  if (fresh.length) return shuffle ? fresh[rand(fresh.length)] : fresh[0];
+  return pickFrom([...candidates].sort(byUrgency));
+};
+
+const judgeWord = (w: WordEntry, p: Prompt, typed: string, system: RomaSystem): Verdict => {
+  const t = typed.trim().toLowerCase().replace(/[\s']/g, "");
+  if (p.kind === "kana") return { good: t === w.kana };
+  return { good: !!readWord(w.kana, system)?.accepted.includes(t) };
+};
+
+// strips ゛/゜ so ガ, カ (and バ, パ, ハ) share a base
+const baseOf = (kana: string) => kana.normalize("NFD").replace(/[\u3099\u309A]/g, "");
+
+// Multiple-choice options: look-alikes first, then the same kana with other voicing marks, then the same row,
+// then the active pool, then the rest of the kana's group. Anything the checker would also accept (homophones like ジ/ヂ) is never a distractor.
+const choiceOptions = (k: KanaEntry, pool: KanaEntry[], p: Prompt, system: RomaSystem, n: number): string[] => {
+  const label = (x: KanaEntry) => p.kind === "romaji" ? romanize(x, system) : p.kind === "hira" ? HIRAGANA[x.kana] : x.kana;
+  const seen = new Set([label(k)]);
+  const picks: string[] = [];
+  const take = (list: KanaEntry[]) => list.forEach(x => {
+    const l = label(x);
+    if (picks.length >= n - 1 || seen.has(l) || judgeAnswer(k, p, l, system).good) return;
+    seen.add(l); picks.push(l);
+  });
+  const lookalikes = LOOKALIKES.filter(g => g.kana.includes(k.kana)).flatMap(g => g.kana);
+  take(shuffled(KATAKANA.filter(x => lookalikes.includes(x.kana))));
+  take(shuffled(KATAKANA.filter(x => baseOf(x.kana) === baseOf(k.kana))));
+  take(shuffled(KATAKANA.filter(x => x.row === k.row)));
+  take(shuffled(pool));
+  // a small pool is topped up from the same group first; only a group too small to fill the options (the ッ / ー
+  // marks) reaches into the rest of the table, so there are always n of them
+  take(shuffled(KATAKANA.filter(x => groupOf(x) === groupOf(k))));
+  take(shuffled(KATAKANA));
+  return shuffled([label(k), ...picks]);
+};
+
+// What a wrong answer was mistaken for: the kana typed, or the kana whose reading was typed.
+const confusedWith = (k: KanaEntry, p: Prompt, typed: string, system: RomaSystem): KanaEntry | undefined => {
+  const t = typed.trim().toLowerCase();
+  if (p.kind === "kana") return KATAKANA.find(x => x.kana === t && x.kana !== k.kana);
+  if (p.kind === "hira") return KATAKANA.find(x => HIRAGANA[x.kana] === t && x.kana !== k.kana);
+  return KATAKANA.find(x => x.kana !== k.kana && matchRomaji(x, t, system));
+};
+
+// ----------------------------
+// Listening: optional per-mora clips in public/audio/kana/<hepburn>.mp3 (kya.mp3, ga.mp3…; none are committed), with
+// the browser's ja-JP speech voice as the fallback. Clips that fail to load are remembered so they aren't requested again.
+// ----------------------------
+type AudioSource = "clip" | "tts" | "none";
+const AUDIO_BASE = `${process.env.PUBLIC_URL}/audio/kana`; // PUBLIC_URL is the "homepage" path, so sub-path deploys work too
+const SLOW_RATE = 0.6;
+const missingClips = new Set<string>();
+const audible = (k: KanaEntry) => k.row !== "marks"; // ッ and ー have no sound of their own
+
+const hasJapaneseVoice = () => typeof speechSynthesis !== "undefined" && speechSynthesis.getVoices().some(v => /^ja/i.test(v.lang));
+
+// resolves with what actually played: a recorded clip, a Japanese system voice, or nothing usable
+const playKana = async (k: KanaEntry, slow = false): Promise<AudioSource> => {
+  if (!missingClips.has(k.romaji)) {
+    try {
+      const a = new Audio(`${AUDIO_BASE}/${encodeURIComponent(k.romaji)}.mp3`);
+      a.playbackRate = slow ? SLOW_RATE : 1;
+      await a.play();
+      return "clip";
+    } catch (e: any) {
+      if (e?.name !== "NotAllowedError") missingClips.add(k.romaji); // autoplay blocks aren't a missing file
+    }
+  }
+  try {
+    if (typeof speechSynthesis === "undefined") return "none";
+    speechSynthesis.cancel();
+    const u = new SpeechSynthesisUtterance(k.kana);
+    const ja = speechSynthesis.getVoices().find(v => /^ja/i.test(v.lang));
+    u.lang = "ja-JP"; u.rate = slow ? 0.5 : 0.9;
+    if (ja) u.voice = ja;
+    speechSynthesis.speak(u);
+    return ja ? "tts" : "none";
+  } catch {
+    return "none";
+  }
+};
+
+// ----------------------------
+// Timed games: Sprint (60 s), Survival (3 lives, the clock shrinks with the streak) and Perfect run (every kana in
+// the pool once). Each keeps its own top-10 board; ties go to the faster run, then to fewer answers given.
+// ----------------------------
+type GameKind = "sprint" | "survival" | "perfect";
+const GAMES: { key: GameKind; label: string; blurb: string }[] = [
+  { key: "sprint", label: "Sprint", blurb: "As many right answers as you can in 60 seconds." },
+  { key: "survival", label: "Survival", blurb: "Three lives. A miss or running out of time costs one, and the clock gets shorter as your streak grows." },
+  { key: "perfect", label: "Perfect run", blurb: "Every kana in the pool exactly once — aim for a clean sheet." },
+];
+const GAME_MODES: QuizMode[] = ["kana2roma", "roma2kana", "mixed", "choice", "listen", "hira2kata", "kata2hira"];
+const GAME_MODES_TEXT = `Games use ${GAME_MODES.slice(0, -1).map(m => MODE_LABELS[m]).join(", ")} or ${MODE_LABELS[GAME_MODES[GAME_MODES.length - 1]]}.`;
+const SPRINT_SECONDS = 60;
+const SURVIVAL_LIVES = 3;
+// seconds per question in Survival: 10 s at the start, ~8% less per streak step, never under 2.5 s
+const survivalSeconds = (streak: number) => Math.max(2.5, 10 * Math.pow(0.92, streak));
+
+type GameRun = {
+  kind: GameKind; startedAt: number; correct: number; answered: number; streak: number;
+  lives: number; deadline: number | null; queue: string[]; // survival: current question's deadline; perfect: kana still to come
+  over: boolean; ms: number; rank: number | null; // set when the run ends
+};
+type LeaderEntry = { score: number; answered: number; ms: number; at: number; mode: QuizMode; pool: number };
+type Leaderboards = Record<GameKind, LeaderEntry[]>;
+const EMPTY_BOARDS: Leaderboards = { sprint: [], survival: [], perfect: [] };
+const isLeaderboards = (v: unknown) => isRecord(v) && GAMES.every(g => v[g.key] === undefined ||
+  (Array.isArray(v[g.key]) && v[g.key].every((e: unknown) => numbersIn(e, ["score", "answered", "ms", "at", "pool"]))));
+const LEADERBOARD_SIZE = 10;
+const byRank = (a: LeaderEntry, b: LeaderEntry) => (b.score - a.score) || (a.ms - b.ms) || (a.answered - b.answered);
+// a Perfect run covers the whole pool, whatever its size, so raw counts don't compare: rank on accuracy, then on
+// the bigger pool, then on time
+const runAccuracy = (e: LeaderEntry) => e.answered ? e.score / e.answered : 0;
+const byAccuracy = (a: LeaderEntry, b: LeaderEntry) => (runAccuracy(b) - runAccuracy(a)) || (b.answered - a.answered) || (a.ms - b.ms);
+const rankingOf = (kind: GameKind) => kind === "perfect" ? byAccuracy : byRank;
+
+// ----------------------------
+// Lessons: a fixed number of questions (or every active kana once), then a results screen. An item only counts
+// as right when it was answered first time without Reveal or Hint; anything else goes on the "missed" list.
+// ----------------------------
+type LessonLength = number | "all";
+const LESSON_LENGTHS: LessonLength[] = [10, 20, 30, 50, "all"];
+const LESSON_MODES: QuizMode[] = [...GAME_MODES, "write"];
+type LessonResult = { kana: string; ok: boolean; skipped: boolean; ms: number };
+type Lesson = { queue: string[]; results: LessonResult[]; size: number; startedAt: number; shownAt: number; finishedAt: number | null };
+
+// N kana from the pool: each one once per lap (reshuffled every lap), so short lessons don't repeat themselves
+const lessonQueue = (pool: KanaEntry[], length: LessonLength): string[] => {
+  const n = length === "all" ? pool.length : length, out: string[] = [];
+  while (out.length < n && pool.length) out.push(...shuffled(pool.map(k => k.kana)).slice(0, n - out.length));
+  return out;
+};
+
+const lessonSummary = (results: LessonResult[]) => {
+  const rowOf = (kana: string) => KATAKANA.find(k => k.kana === kana)?.row;
+  const byRow = ROWS_ALL
+    .map(r => { const mine = results.filter(x => rowOf(x.kana) === r.key); return { key: r.key, label: r.label, right: mine.filter(x => x.ok).length, total: mine.length }; })
+    .filter(r => r.total > 0);
+  return { right: results.filter(x => x.ok).length, byRow, missed: [...new Set(results.filter(x => !x.ok).map(x => x.kana))] };
+};
+
+const formatDuration = (ms: number) => { const s = Math.round(ms / 1000); return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`; };
+
+// ----------------------------
+// Latest-value ref: long-lived listeners and intervals call the current render's handler without re-subscribing
+// ----------------------------
+const useLatest = <T,>(value: T) => {
+  const ref = useRef(value);
+  ref.current = value;
+  return ref;
+};
+
+// ----------------------------
+// Look-alike tile: big glyph with the distinguishing strokes boxed
+// ----------------------------
+function LookalikeTile({ kana, focus, shortcut, disabled, onPick }: {
+  kana: string;
+  focus?: [number, number, number, number];
+  shortcut: number;
+  disabled: boolean;
+  onPick: () => void;
+}) {
+  return (
+    <button
+      onClick={onPick}
+      disabled={disabled}
+      className={`relative rounded-2xl border bg-white shadow-sm p-4 transition hover:bg-slate-50 ${disabled ? 'opacity-40' : ''}`}
+    >
+      <span className="absolute top-1.5 left-2 text-xs text-muted-foreground font-mono">{shortcut}</span>
+      <div className="relative size-28 sm:size-32 mx-auto">
+        <div className="absolute inset-0 flex items-center justify-center text-8xl leading-none" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{kana}</div>
+        {focus && (
+          <div
+            className="absolute rounded-xl ring-2 ring-amber-400 bg-amber-200/30 pointer-events-none"
+            style={{ left: `${focus[0]*100}%`, top: `${focus[1]*100}%`, width: `${focus[2]*100}%`, height: `${focus[3]*100}%` }}
+          />
+        )}
+      </div>
+    </button>
+  );
+}
+
+// ----------------------------
+// Mnemonic line: shows the hook for one kana and edits it in place (empty / Reset = back to the built-in one)
+// ----------------------------
+function MnemonicNote({ entry, own, onSave, compact = false }: {
+  entry: KanaEntry;
+  own?: string;
+  onSave: (text: string | null) => void;
+  compact?: boolean;
+}) {
+  const [draft, setDraft] = useState<string | null>(null);
+  useEffect(() => { setDraft(null); }, [entry.kana]);
+  const save = () => { const t = (draft ?? "").trim(); onSave(t && t !== builtinMnemonic(entry) ? t : null); setDraft(null); };
+  if (draft !== null) return (
+    <div className="w-full max-w-md flex items-center gap-2">
+      <Input
+        autoFocus
+        value={draft}
+        placeholder={builtinMnemonic(entry)}
+        onChange={e => setDraft(e.target.value)}
+        onKeyDown={e => { if (e.key === "Enter") save(); if (e.key === "Escape") setDraft(null); }}
+        className="text-sm"
+      />
+      <Button size="sm" onClick={save}>Save</Button>
+      <Button size="sm" variant="ghost" onClick={() => setDraft(null)}>Cancel</Button>
+    </div>
+  );
+  return (
+    <div className={`flex items-start gap-2 text-muted-foreground ${compact ? "text-xs" : "text-sm"}`}>
+      <Sparkles className="size-3.5 mt-0.5 shrink-0 text-amber-500"/>
+      <span><span className="text-slate-900">{own ?? builtinMnemonic(entry)}</span>{own && <Badge variant="outline" className="ml-2 text-[10px]">yours</Badge>}</span>
+      <button className="shrink-0 underline underline-offset-2 hover:text-slate-900" onClick={() => setDraft(own ?? builtinMnemonic(entry))}>{own ? "Edit" : "Write your own"}</button>
+      {own && <button className="shrink-0 underline underline-offset-2 hover:text-slate-900" onClick={() => onSave(null)}>Reset</button>}
+    </div>
+  );
+}
+
+// ----------------------------
+// Study chart: search, row / status filters and the two layouts
+// ----------------------------
+type StudyStatus = "new" | "learning" | "struggling" | "learned";
+type StudyLayout = "gojuon" | "compact";
+const STUDY_STATUSES: { key: StudyStatus; label: string }[] = [
+  { key: "new", label: "New" },
+  { key: "learning", label: "Learning" },
+  { key: "struggling", label: "Struggling" },
+  { key: "learned", label: "Learned" },
+];
+
+// from quiz history: never asked = new; SRS says struggling, or under 60% after 3+ answers = struggling;
+// past its second good review and at 80%+ = learned; anything else is still being learned
+const studyStatus = (s?: KanaStats, c?: SrsCard): StudyStatus => {
+  if (!s?.attempts && !c) return "new";
+  const acc = accuracyOf(s);
+  if (isStruggling(c) || (s && s.attempts >= 3 && (acc ?? 0) < 0.6)) return "struggling";
+  if (c && c.reps >= 2 && (acc ?? 1) >= 0.8) return "learned";
+  return "learning";
+};
+
+// kana / hiragana anywhere in the entry, romaji as a prefix in any romanization (so "k" finds the whole k-row)
+const matchesSearch = (k: KanaEntry, query: string) => {
+  const q = query.trim().toLowerCase();
+  return !q || k.kana.includes(q) || HIRAGANA[k.kana].includes(q) || ROMA_SYSTEMS.some(r => romanize(k, r.key).startsWith(q));
+};
+
+// Gojūon layout: one line per row with a cell per vowel and blanks where the row has none (ヤ · ユ · ヨ, ワ · · · ヲ);
+// yōon rows only have a / u / o. Anything not ending in a vowel (ン) gets a line of its own.
+const GOJUON_VOWELS = ["a", "i", "u", "e", "o"];
+const YOON_VOWELS = ["a", "u", "o"];
+const gojuonLines = (entries: KanaEntry[], vowels: string[]): (KanaEntry | null)[][] => {
+  const lines: (KanaEntry | null)[][] = [];
+  [...new Set(entries.map(e => e.row))].forEach(row => {
+    const inRow = entries.filter(e => e.row === row);
+    const line = vowels.map(v => inRow.find(e => e.romaji.endsWith(v)) ?? null);
+    lines.push(line);
+    inRow.filter(e => !line.includes(e)).forEach(e => lines.push([e, ...vowels.slice(1).map(() => null)]));
+  });
+  return lines;
+};
+
+function StudyTile({ entry, romaSystem, extended, hiragana, ownMnemonic, selected, onPick }: {
+  entry: KanaEntry;
+  romaSystem: RomaSystem;
+  extended: boolean;
+  hiragana: boolean;
+  ownMnemonic: boolean;
+  selected: boolean;
+  onPick: () => void;
+}) {
+  return (
+    <motion.button
+      whileHover={{ y: -2 }}
+      whileTap={{ scale: 0.98 }}
+      onClick={onPick}
+      title={entry.note ?? (extended ? "Non-standard combo (loanwords only)" : undefined)}
+      className={`relative w-full rounded-2xl border shadow-sm p-3 flex flex-col items-center gap-1 ${extended ? 'bg-amber-50 border-dashed' : 'bg-white'} ${selected ? 'ring-2 ring-slate-900' : ''}`}
+    >
+      {extended && <span className="absolute top-1 right-1.5 text-[10px] text-amber-700">ext</span>}
+      {ownMnemonic && <span className="absolute bottom-1 right-1.5 size-1.5 rounded-full bg-amber-500" title="Your own mnemonic"/>}
+      {hiragana && <span className="absolute top-1 left-1.5 text-sm text-sky-700" title="Hiragana" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{HIRAGANA[entry.kana]}</span>}
+      <div className="text-3xl" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{entry.kana}</div>
+      <div className="text-xs text-muted-foreground">{romanize(entry, romaSystem)}</div>
+    </motion.button>
+  );
+}
+
+// ----------------------------
+// Character detail (Study tab): glyph in several typefaces, strokes, row, hiragana, words, look-alikes, own history
+// ----------------------------
+const DIR_ARROWS: Record<Dir, { arrow: string; label: string }> = {
+  H: { arrow: "→", label: "horizontal" }, V: { arrow: "↓", label: "vertical" }, DU: { arrow: "↘", label: "diagonal \\" },
+  DD: { arrow: "↙", label: "diagonal /" }, RISE: { arrow: "↗", label: "rising /" }, DOT: { arrow: "•", label: "short mark" },
+};
+
+// none of these are bundled, so KanaDetail only shows a face when the system has one of its named fonts
+const GLYPH_FONTS = [
+  { label: "Gothic", family: '"Noto Sans JP","Hiragino Kaku Gothic ProN","Yu Gothic",system-ui,sans-serif' },
+  { label: "Mincho", family: '"Noto Serif JP","Hiragino Mincho ProN","Yu Mincho",serif' },
+  { label: "Rounded", family: '"Zen Maru Gothic","M PLUS Rounded 1c","Hiragino Maru Gothic ProN",sans-serif' },
+  { label: "Textbook", family: '"Klee One","UD Digi Kyokasho N-R","YuKyokasho",cursive' },
+];
+
+// A named font is installed when text set in it measures differently from the bare generic fallbacks.
+// (document.fonts.check can't tell: it reports true for any family that has no @font-face rule.)
+const FONT_PROBE = "アカサタナ";
+const hasFont = (name: string) => {
+  try {
+    const ctx = document.createElement("canvas").getContext("2d");
+    if (!ctx) return false;
+    const width = (family: string) => { ctx.font = `32px ${family}`; return ctx.measureText(FONT_PROBE).width; };
+    return ["monospace", "serif"].some(generic => width(`"${name}",${generic}`) !== width(generic));
+  } catch {
+    return false;
+  }
+};
+const namedFonts = (family: string) => (family.match(/"[^"]+"/g) ?? []).map(f => f.slice(1, -1));
+// Gothic always stays: its stack ends in the system's own sans-serif
+const availableGlyphFonts = () => GLYPH_FONTS.filter((f, i) => i === 0 || namedFonts(f.family).some(hasFont));
+
+const wordsWith = (kana: string) => WORDS.filter(w => splitKana(w.kana)?.some(k => k.kana === kana));
+
+// curated groups first, then anything this learner has mixed it up with at least PERSONAL_PAIR_MIN times
+const lookalikesOf = (kana: string, confusions: Record<string, number>) => {
+  const out: { kana: string; times?: number }[] = [];
+  LOOKALIKES.filter(g => g.kana.includes(kana)).flatMap(g => g.kana).forEach(k => { if (k !== kana && !out.some(o => o.kana === k)) out.push({ kana: k }); });
+  Object.entries(confusions).filter(([pair, n]) => n >= PERSONAL_PAIR_MIN && pair.split("|").includes(kana)).forEach(([pair, n]) => {
+    const other = pair.split("|").find(k => k !== kana) ?? kana;
+    const hit = out.find(o => o.kana === other);
+    if (hit) hit.times = n; else out.push({ kana: other, times: n });
+  });
+  return out;
+};
+
+function KanaDetail({ entry, romaSystem, stats, card, traceBest, confusions, own, onSaveMnemonic, onPick, onHear, onTrace, onQuiz, onClose }: {
+  entry: KanaEntry;
+  romaSystem: RomaSystem;
+  stats?: KanaStats;
+  card?: SrsCard;
+  traceBest?: number;
+  confusions: Record<string, number>;
+  own?: string;
+  onSaveMnemonic: (text: string | null) => void;
+  onPick: (kana: string) => void;
+  onHear: () => void;
+  onTrace: () => void;
+  onQuiz: () => void;
+  onClose: () => void;
+}) {
+  const dirs = strokesFor(entry.kana).map(strokeDir), strokes = dirs.length;
+  const fonts = useMemo(availableGlyphFonts, []);
+  const words = wordsWith(entry.kana).slice(0, 6);
+  const alikes = lookalikesOf(entry.kana, confusions);
+  const acc = accuracyOf(stats);
+  const days = card ? Math.ceil((card.due - Date.now()) / DAY) : null;
+  return (
+    <div className="rounded-2xl border bg-white shadow-sm p-4 space-y-4">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="text-lg font-semibold">{entry.kana} <span className="text-muted-foreground font-normal">· {romanize(entry, romaSystem)}</span></div>
+          <div className="text-xs text-muted-foreground">{ROWS_ALL.find(r => r.key === entry.row)?.label ?? entry.row} · hiragana <span className="text-sm text-slate-900">{HIRAGANA[entry.kana]}</span></div>
+        </div>
+        <Button size="sm" variant="ghost" onClick={onClose}>Close</Button>
+      </div>
+      <div className="grid grid-cols-4 gap-2">
+        {fonts.map(f => (
+          <div key={f.label} className="rounded-xl border bg-slate-50 flex flex-col items-center py-2">
+            <div className="text-5xl leading-tight" style={{ fontFamily: f.family }}>{entry.kana}</div>
+            <div className="text-[10px] text-muted-foreground">{f.label}</div>
+          </div>
+        ))}
+      </div>
+      {entry.note && <div className="text-xs text-muted-foreground">{entry.note}</div>}
+      <MnemonicNote entry={entry} own={own} onSave={onSaveMnemonic} compact />
+      <div className="space-y-1">
+        <div className="text-xs uppercase tracking-wide text-muted-foreground">{strokes} {strokes === 1 ? "stroke" : "strokes"}</div>
+        <div className="flex flex-wrap gap-1">
+          {dirs.map((d, i) => (
+            <span key={i} title={DIR_ARROWS[d].label} className="rounded-md border px-1.5 py-0.5 text-xs"><span className="text-muted-foreground mr-1">{i + 1}</span>{DIR_ARROWS[d].arrow}</span>
+          ))}
+        </div>
+      </div>
+      <div className="space-y-1">
+        <div className="text-xs uppercase tracking-wide text-muted-foreground">Example words</div>
+        {words.length === 0 ? <div className="text-xs text-muted-foreground">None in the bundled word list.</div> : (
+          <div className="flex flex-wrap gap-x-3 gap-y-1 text-sm">
+            {words.map(w => <span key={w.kana}><span style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{w.kana}</span> <span className="text-xs text-muted-foreground">{readWord(w.kana, romaSystem)?.display} · {w.gloss}</span></span>)}
+          </div>
+        )}
+      </div>
+      {alikes.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-xs uppercase tracking-wide text-muted-foreground">Look-alikes</div>
+          <div className="flex flex-wrap gap-2">
+            {alikes.map(a => (
+              <button key={a.kana} onClick={() => onPick(a.kana)} title={a.times ? `You've mixed these up ${a.times}×` : "Commonly confused"}
+                className={`rounded-xl border px-2.5 py-1 text-2xl hover:bg-slate-50 ${a.times ? "border-rose-300 bg-rose-50" : ""}`}
+                style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>
+                {a.kana}{a.times && <span className="ml-1 text-[10px] text-rose-700 align-top">{a.times}×</span>}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      <div className="space-y-1">
+        <div className="text-xs uppercase tracking-wide text-muted-foreground">Your history</div>
+        {!stats || stats.attempts === 0 ? <div className="text-xs text-muted-foreground">Not quizzed yet.</div> : (
+          <>
+            <div className="text-sm">{Math.round((acc ?? 0) * 100)}% <span className="text-xs text-muted-foreground">· {stats.correct}/{stats.attempts} correct · avg {(stats.ms / stats.attempts / 1000).toFixed(1)}s · {stats.reveals} reveals · {stats.hints} hints</span></div>
+            {stats.days && <TrendChart days={stats.days} />}
+          </>
+        )}
+        <div className="text-xs text-muted-foreground">
+          {!card ? "Not scheduled for review yet." : days! <= 0 ? "Due for review now." : `Next review in ${days} ${days === 1 ? "day" : "days"}.`}
+          {card && isStruggling(card) && <Badge variant="outline" className="ml-2 text-[10px] text-rose-700">struggling</Badge>}
+          {traceBest !== undefined && <span className="ml-2">Best trace: {traceBest}/100.</span>}
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button variant="secondary" size="sm" className="gap-2" onClick={onHear}><Volume2 className="size-4"/>Hear</Button>
+        <Button variant="outline" size="sm" className="gap-2" onClick={onTrace}><PenTool className="size-4"/>Trace</Button>
+        <Button size="sm" className="gap-2" onClick={onQuiz}><Play className="size-4"/>Quiz on {entry.kana}</Button>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------
+// Daily accuracy trend (last N days, bars = attempts, dots = accuracy)
+// ----------------------------
+function TrendChart({ days, span = 14 }: { days: Record<string, DayStats>; span?: number }) {
+  const series = Array.from({ length: span }, (_, i) => {
+    const d = new Date(); d.setDate(d.getDate() - (span - 1 - i));
+    const day = days[dayKey(d)];
+    return { label: `${d.getMonth() + 1}/${d.getDate()}`, attempts: day?.attempts ?? 0, acc: day && day.attempts ? day.correct / day.attempts : null };
+  });
+  const maxAttempts = Math.max(1, ...series.map(d => d.attempts));
+  const W = 560, H = 160, pad = 24, bw = (W - pad * 2) / span;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      <line x1={pad} x2={W - pad} y1={H - pad} y2={H - pad} stroke="#e2e8f0" />
+      {series.map((d, i) => {
+        const x = pad + i * bw;
+        const bh = (d.attempts / maxAttempts) * (H - pad * 2);
+        return (
+          <g key={d.label}>
+            <rect x={x + bw * 0.2} y={H - pad - bh} width={bw * 0.6} height={bh} rx={3} fill="#cbd5e1"><title>{`${d.label}: ${d.attempts} attempts`}</title></rect>
+            {d.acc !== null && <circle cx={x + bw / 2} cy={H - pad - d.acc * (H - pad * 2)} r={4} fill="#0f172a"><title>{`${d.label}: ${Math.round(d.acc * 100)}% correct`}</title></circle>}
+            {i % 2 === 0 && <text x={x + bw / 2} y={H - 6} fontSize={10} textAnchor="middle" fill="#64748b">{d.label}</text>}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// ----------------------------
+// Stroke paths: bundled, KanjiVG-style SVG paths in a 100×100 box, one path per stroke in stroke order.
+// Only absolute M / L / Q / C commands are used. Voiced kana add the ゛/゜ marks, small kana are scaled-down
+// copies, and combos (キャ, ファ…) put both glyphs side by side — see strokesFor().
+// ----------------------------
+type Pt = [number, number];
+
+const KANA_PATHS: Record<string, string[]> = {
+  "ア": ["M20,22 L80,22 Q76,36 58,48", "M50,36 Q52,62 30,88"],
+  "イ": ["M70,12 Q55,40 18,58", "M50,40 L50,92"],
+  "ウ": ["M50,8 L50,22", "M22,28 L22,48", "M22,28 L80,28 Q78,60 42,90"],
+  "エ": ["M25,25 L75,25", "M50,25 L50,80", "M15,80 L85,80"],
+  "オ": ["M15,35 L85,35", "M60,12 L60,90 L50,84", "M58,38 Q45,62 20,78"],
+  "カ": ["M20,32 L80,32 Q80,70 66,88 L56,82", "M50,12 Q46,60 22,88"],
+  "キ": ["M22,32 L78,28", "M15,55 L85,50", "M45,12 L55,92"],
+  "ク": ["M42,12 Q34,36 16,50", "M38,28 L80,28 Q72,64 36,90"],
+  "ケ": ["M36,12 Q28,36 12,52", "M30,38 L88,38", "M62,38 Q60,70 38,90"],
+  "コ": ["M22,25 L78,25 L78,78", "M22,78 L78,78"],
+  "サ": ["M12,38 L88,38", "M32,18 L32,62", "M68,15 Q68,65 36,90"],
+  "シ": ["M22,18 L34,28", "M14,42 L28,52", "M18,88 Q58,72 84,24"],
+  "ス": ["M20,22 L76,22 Q62,60 16,88", "M52,58 L84,86"],
+  "セ": ["M12,48 L86,38 Q80,54 72,60", "M36,14 L36,78 Q36,88 48,88 L84,88"],
+  "ソ": ["M22,26 L34,46", "M80,18 Q72,62 30,90"],
+  "タ": ["M42,12 Q34,36 16,50", "M38,28 L80,28 Q72,64 36,90", "M34,48 L64,62"],
+  "チ": ["M74,12 Q52,22 26,26", "M14,50 L86,50", "M50,26 Q52,72 34,90"],
+  "ツ": ["M18,24 L28,40", "M42,18 L50,34", "M82,20 Q74,64 32,90"],
+  "テ": ["M26,20 L74,20", "M14,44 L86,44", "M50,44 Q50,72 30,90"],
+  "ト": ["M38,10 L38,90", "M40,44 L74,60"],
+  "ナ": ["M12,38 L88,38", "M56,12 Q56,66 28,90"],
+  "ニ": ["M24,30 L76,30", "M14,76 L86,76"],
+  "ヌ": ["M20,22 L76,22 Q62,62 14,90", "M34,46 L78,80"],
+  "ネ": ["M50,8 L50,22", "M20,30 L78,30 Q56,56 14,74", "M50,50 L50,92", "M62,56 L84,72"],
+  "ノ": ["M76,14 Q66,62 22,88"],
+  "ハ": ["M36,26 Q30,56 12,78", "M60,26 Q74,52 88,76"],
+  "ヒ": ["M18,42 L76,30", "M24,14 L24,78 Q24,86 34,86 L84,86"],
+  "フ": ["M18,24 L80,24 Q74,62 30,90"],
+  "ヘ": ["M10,62 L36,34 L90,76"],
+  "ホ": ["M14,34 L86,34", "M50,10 L50,90 L42,84", "M32,52 L16,74", "M68,52 L86,74"],
+  "マ": ["M14,26 L84,26 Q66,56 44,70", "M38,54 L66,84"],
+  "ミ": ["M28,18 L70,28", "M30,44 L66,54", "M24,70 L76,84"],
+  "ム": ["M42,14 Q34,50 18,80 L80,72", "M64,56 L84,86"],
+  "メ": ["M74,14 Q62,60 16,88", "M26,36 L82,74"],
+  "モ": ["M22,22 L78,22", "M12,48 L88,48", "M44,22 L44,78 Q44,88 56,88 L84,88"],
+  "ヤ": ["M12,42 L86,32 L66,58", "M34,14 L52,90"],
+  "ユ": ["M22,34 L70,34 L70,78", "M12,78 L88,78"],
+  "ヨ": ["M20,20 L78,20 L78,84", "M24,52 L78,52", "M20,84 L78,84"],
+  "ラ": ["M26,16 L74,16", "M18,38 L80,38 Q74,72 34,90"],
+  "リ": ["M30,16 L30,62", "M70,12 Q72,64 40,90"],
+  "ル": ["M34,16 Q34,60 12,86", "M56,14 L56,84 L88,58"],
+  "レ": ["M30,12 L30,86 L84,54"],
+  "ロ": ["M22,24 L22,80", "M22,24 L78,24 L78,80", "M22,80 L78,80"],
+  "ワ": ["M20,22 L20,44", "M20,22 L80,22 Q76,62 34,90"],
+  "ヲ": ["M18,22 L80,22", "M18,50 L78,50", "M80,22 Q74,64 30,90"],
+  "ン": ["M18,26 L36,38", "M16,86 Q56,72 84,22"],
+  "ー": ["M12,50 L88,50"],
+};
+
+const DAKUTEN_PATHS = ["M80,4 L86,16", "M91,0 L97,12"];
+const HANDAKUTEN_PATHS = ["M90,2 C98,2 98,16 90,16 C82,16 82,2 90,2"];
+const SMALL_OF: Record<string, string> = { "ァ": "ア", "ィ": "イ", "ゥ": "ウ", "ェ": "エ", "ォ": "オ", "ャ": "ヤ", "ュ": "ユ", "ョ": "ヨ", "ッ": "ツ" };
+
+// Flatten one path into points; curves are sampled every ~1/8 of their span.
+const parsePath = (d: string): Pt[] => {
+  const tokens = d.match(/[MLQC]|-?\d*\.?\d+/g) ?? [];
+  const pts: Pt[] = [];
+  let cmd = "", i = 0;
+  const num = () => Number(tokens[i++]);
+  while (i < tokens.length) {
+    if (/[MLQC]/.test(tokens[i])) cmd = tokens[i++];
+    const p0 = pts[pts.length - 1];
+    if (cmd === "M" || cmd === "L") pts.push([num(), num()]);
+    else if (cmd === "Q") {
+      const c: Pt = [num(), num()], e: Pt = [num(), num()];
+      for (let t = 1; t <= 8; t++) {
+        const u = t / 8, a = (1 - u) * (1 - u), b = 2 * u * (1 - u), q = u * u;
+        pts.push([a * p0[0] + b * c[0] + q * e[0], a * p0[1] + b * c[1] + q * e[1]]);
+      }
+    } else if (cmd === "C") {
+      const c1: Pt = [num(), num()], c2: Pt = [num(), num()], e: Pt = [num(), num()];
+      for (let t = 1; t <= 8; t++) {
+        const u = t / 8, a = (1 - u) ** 3, b = 3 * u * (1 - u) ** 2, c = 3 * u * u * (1 - u), q = u ** 3;
+        pts.push([a * p0[0] + b * c1[0] + c * c2[0] + q * e[0], a * p0[1] + b * c1[1] + c * c2[1] + q * e[1]]);
+      }
+    } else i++; // unknown token: skip
+  }
+  return pts;
+};
+
+const place = (strokes: Pt[][], scale: number, dx: number, dy: number): Pt[][] =>
+  strokes.map(s => s.map(([x, y]) => [dx + x * scale, dy + y * scale] as Pt));
+
+const glyphStrokes = (ch: string): Pt[][] => {
+  if (SMALL_OF[ch]) return place(glyphStrokes(SMALL_OF[ch]), 0.62, 19, 32);
+  const [base, mark] = ch.normalize("NFD");
+  const marks = mark === "゙" ? DAKUTEN_PATHS : mark === "゚" ? HANDAKUTEN_PATHS : [];
+  return [...(KANA_PATHS[base] ?? []), ...marks].map(parsePath);
+};
+
+const strokeCache: Record<string, Pt[][]> = {};
+// Reference strokes for a table entry in the 100×100 box (combos: big glyph left, small glyph right).
+const strokesFor = (kana: string): Pt[][] => {
+  if (!strokeCache[kana]) {
+    strokeCache[kana] = kana.length === 2
+      ? [...place(glyphStrokes(kana[0]), 0.5, 0, 25), ...place(glyphStrokes(kana[1]), 0.5, 50, 25)]
+      : glyphStrokes(kana);
+  }
+  return strokeCache[kana];
+};
+
+// ----------------------------
+// Stroke endings: tome (stop, then lift), hane (short flick back) and harai (lift while still moving, so the
+// tail tapers — ノ, the long strokes of ソ and ン). One letter per stroke, in KANA_PATHS order.
+// ----------------------------
+type Ending = "tome" | "hane" | "harai";
+const ENDING_CODES: Record<string, Ending> = { t: "tome", h: "hane", r: "harai" };
+const KANA_ENDINGS: Record<string, string> = {
+  "ア": "tr", "イ": "rt", "ウ": "ttr", "エ": "ttt", "オ": "thr",
+  "カ": "hr", "キ": "ttt", "ク": "rr", "ケ": "rtr", "コ": "tt",
+  "サ": "ttr", "シ": "ttr", "ス": "rt", "セ": "tt", "ソ": "tr",
+  "タ": "rrt", "チ": "rtr", "ツ": "ttr", "テ": "ttr", "ト": "tt",
+  "ナ": "tr", "ニ": "tt", "ヌ": "rt", "ネ": "trtt", "ノ": "r",
+  "ハ": "rt", "ヒ": "tt", "フ": "r", "ヘ": "t", "ホ": "thtt",
+  "マ": "tt", "ミ": "ttt", "ム": "tt", "メ": "rt", "モ": "ttt",
+  "ヤ": "tt", "ユ": "tt", "ヨ": "ttt",
+  "ラ": "tr", "リ": "tr", "ル": "rr", "レ": "r", "ロ": "ttt",
+  "ワ": "tr", "ヲ": "ttr", "ン": "tr", "ー": "t",
+};
+const ENDING_TIPS: Record<Ending, string> = {
+  tome: "stop the pen before lifting it",
+  hane: "finish with a short flick back",
+  harai: "lift the pen while still moving so the tail tapers off",
+};
+
+const glyphEndings = (ch: string): Ending[] => {
+  if (SMALL_OF[ch]) return glyphEndings(SMALL_OF[ch]);
+  const [base, mark] = ch.normalize("NFD");
+  const marks = mark === "゙" ? "tt" : mark === "゚" ? "t" : "";
+  return [...(KANA_ENDINGS[base] ?? "") + marks].map(c => ENDING_CODES[c]);
+};
+// same stroke order as strokesFor
+const endingsFor = (kana: string): Ending[] => [...kana].flatMap(glyphEndings);
+
+type StrokeSample = { pts: Pt[]; t: number[]; p: number[]; rest: number }; // glyph-box units, ms, pressure 0–1, ms held still before lifting
+
+const speedsOf = (pts: Pt[], t: number[]) => pts.slice(1).map((q, i) => dist(pts[i], q) / Math.max(1, t[i + 1] - t[i]));
+const median = (xs: number[]) => { const s = [...xs].sort((a, b) => a - b); return s.length ? s[Math.floor(s.length / 2)] : 0; };
+// mice report a flat 0.5 (and touch often a flat 1): only trust pressure that actually varies
+const realPressure = (p: number[]) => p.length > 1 && Math.max(...p) - Math.min(...p) > 0.05;
+
+// index of the point `frac` of the stroke's length back from its end
+const backIndex = (pts: Pt[], frac: number) => {
+  const target = pathLength(pts) * frac;
+  let acc = 0, i = pts.length - 1;
+  while (i > 0 && acc < target) { acc += dist(pts[i], pts[i - 1]); i--; }
+  return i;
+};
+
+// below these (glyph units; about 1 and 2 px on the tracing canvas) a stroke or its tail is pointer jitter. They must
+// stay this small: the small half of a combo like キャ is a quarter of the box, so its hane flick is barely a unit long.
+const MIN_STROKE = 0.2, MIN_FLICK = 0.35;
+
+const detectEnding = (s: StrokeSample): Ending => {
+  const { pts, t, p } = s;
+  if (pts.length < 4 || pathLength(pts) < MIN_STROKE) return "tome";
+  // hane: the last stretch turns back sharply against the one before it
+  const a = pts[backIndex(pts, 0.3)], b = pts[backIndex(pts, 0.1)], e = pts[pts.length - 1];
+  const body = Math.atan2(b[1] - a[1], b[0] - a[0]), tail = Math.atan2(e[1] - b[1], e[0] - b[0]);
+  const turn = Math.abs(((tail - body + 3 * Math.PI) % (2 * Math.PI)) - Math.PI);
+  if (turn > (75 * Math.PI) / 180 && dist(b, e) > MIN_FLICK) return "hane";
+  // harai vs tome: how fast the pen still moved over the last 15% of the stroke, counting the time it was held
+  // still before lifting, against the stroke's own median speed. Speed alone has to decide for a mouse, which
+  // reports no pressure; a pen easing off its pressure is harai too.
+  const v = speedsOf(pts, t), from = Math.min(backIndex(pts, 0.15), pts.length - 2);
+  const vEnd = pathLength(pts.slice(from)) / Math.max(1, t[t.length - 1] - t[from] + Math.max(0, s.rest));
+  if (realPressure(p) && median(p.slice(from)) < 0.6 * median(p)) return "harai";
+  return vEnd >= 0.6 * median(v) ? "harai" : "tome";
+};
+
+// brush-like width per point: pressure when the device reports it, otherwise slow = thick and fast = thin
+const inkWidths = (pts: Pt[], t: number[], p: number[], base: number): number[] => {
+  const v = speedsOf(pts, t), vRef = median(v) || 1, usePressure = realPressure(p);
+  let w = base;
+  return pts.map((_, i) => {
+    const target = usePressure ? base * (0.35 + 1.3 * p[i]) : base * Math.max(0.4, Math.min(1.4, 1.3 - 0.5 * (v[Math.max(0, i - 1)] ?? 0) / vRef));
+    w += (target - w) * (i === 0 ? 1 : 0.35); // smoothed so the edge doesn't jitter
+    return w;
+  });
+};
+
+const INK_WIDTH = 7; // base brush width, in logical units of the tracing canvas
+
+// tiny text profile (▁▂▃…█) of a series, squeezed into `n` buckets
+const sparkline = (xs: number[], n = 12) => {
+  if (xs.length === 0) return "";
+  const k = Math.min(n, xs.length);
+  const buckets = Array.from({ length: k }, (_, i) => {
+    const part = xs.slice(Math.floor(i * xs.length / k), Math.floor((i + 1) * xs.length / k));
+    return part.reduce((a, b) => a + b, 0) / Math.max(1, part.length);
+  });
+  const hi = Math.max(...buckets) || 1;
+  return buckets.map(b => "▁▂▃▄▅▆▇█"[Math.min(7, Math.floor((b / hi) * 8))]).join("");
+};
+
+const drawInk = (ctx: CanvasRenderingContext2D, pts: Pt[], widths: number[]) => {
+  ctx.save();
+  ctx.lineCap = "round"; ctx.lineJoin = "round";
+  for (let i = 1; i < pts.length; i++) {
+    ctx.beginPath(); ctx.moveTo(pts[i - 1][0], pts[i - 1][1]); ctx.lineTo(pts[i][0], pts[i][1]);
+    ctx.lineWidth = (widths[i - 1] + widths[i]) / 2;
+    ctx.stroke();
+  }
+  ctx.restore();
+};
+
+// ----------------------------
+// Stroke geometry + per-stroke validation (start point, end point, shape)
+// ----------------------------
+const dist = (a: Pt, b: Pt) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+const pathLength = (pts: Pt[]) => pts.reduce((sum, p, i) => i ? sum + dist(pts[i - 1], p) : 0, 0);
+const bboxDiag = (pts: Pt[]) => {
+  const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+  return Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+};
+// the way a stroke sets off, from its start to 40% along (so フ reads →, not its overall ↘). Short marks (as in
+// checkStroke) and the closed ゜ circle are dots. Verticals only count as ↙ once they lean past ~15°: many sweeps start
+// almost straight down.
+type Dir = "H"|"V"|"DU"|"DD"|"RISE"|"DOT";
+const strokeDir = (pts: Pt[]): Dir => {
+  const size = bboxDiag(pts);
+  if (pts.length < 2 || size < 16 || dist(pts[0], pts[pts.length - 1]) < size / 4) return "DOT";
+  const [a, b] = [pts[0], resample(pts, 6)[2]];
+  const deg = Math.atan2(b[1] - a[1], b[0] - a[0]) * 180 / Math.PI; // y points down
+  return deg <= -20 ? "RISE" : deg < 20 ? "H" : deg < 70 ? "DU" : deg < 105 ? "V" : "DD";
+};
+const centroid = (pts: Pt[]): Pt => [pts.reduce((s, p) => s + p[0], 0) / pts.length, pts.reduce((s, p) => s + p[1], 0) / pts.length];
+
+// n points evenly spaced along the path
+const resample = (pts: Pt[], n = 32): Pt[] => {
+  const total = pathLength(pts);
+  if (pts.length < 2 || total === 0) return Array.from({ length: n }, () => pts[0]);
+  const step = total / (n - 1), out: Pt[] = [pts[0]];
+  let acc = 0, prev = pts[0];
+  for (let i = 1; i < pts.length && out.length < n; i++) {
+    let cur = pts[i], d = dist(prev, cur);
+    while (acc + d >= step && out.length < n) {
+      const t = (step - acc) / d;
+      prev = [prev[0] + t * (cur[0] - prev[0]), prev[1] + t * (cur[1] - prev[1])];
+      out.push(prev); d = dist(prev, cur); acc = 0;
+    }
+    acc += d; prev = cur;
+  }
+  while (out.length < n) out.push(pts[pts.length - 1]);
+  return out;
+};
+
+// mean distance between the two paths once both are centred on their centroids
+const shapeDistance = (a: Pt[], b: Pt[]) => {
+  const ra = resample(a), rb = resample(b), ca = centroid(ra), cb = centroid(rb);
+  return ra.reduce((s, p, i) => s + dist([p[0] - ca[0], p[1] - ca[1]], [rb[i][0] - cb[0], rb[i][1] - cb[1]]), 0) / ra.length;
+};
+
+type StrokeCheck = { ok: boolean; start: boolean; end: boolean; shape: boolean; reversed: boolean; startOff: Pt; endOff: Pt };
+
+// drawn / expected are both in the 100×100 glyph box; tolerances scale with the stroke so dots and ゛ stay checkable
+const checkStroke = (drawn: Pt[], expected: Pt[]): StrokeCheck => {
+  const size = Math.max(bboxDiag(expected), 10);
+  const tol = Math.min(16, Math.max(8, size * 0.3));
+  const e0 = expected[0], e1 = expected[expected.length - 1], d0 = drawn[0], d1 = drawn[drawn.length - 1];
+  const start = dist(d0, e0) <= tol, end = dist(d1, e1) <= tol;
+  const shape = size < 16 || shapeDistance(drawn, expected) / size <= 0.22; // short ticks: position is all that matters
+  const reversed = !start && !end && dist(d0, e1) <= tol && dist(d1, e0) <= tol;
+  return { ok: start && end && shape, start, end, shape, reversed, startOff: [d0[0] - e0[0], d0[1] - e0[1]], endOff: [d1[0] - e1[0], d1[1] - e1[1]] };
+};
+
+// "move it left and down" style hint for an offset in glyph units (screen y grows downwards)
+const describeOffset = ([dx, dy]: Pt) => {
+  const parts = [];
+  if (Math.abs(dx) > 5) parts.push(dx > 0 ? "further left" : "further right");
+  if (Math.abs(dy) > 5) parts.push(dy > 0 ? "higher" : "lower");
+  return parts.length ? parts.join(" and ") : "a little closer to the guide";
+};
+
+const strokeFeedback = (n: number, c: StrokeCheck): { title: string; description: string } => {
+  if (c.reversed) return { title: `Stroke ${n} was drawn backwards`, description: "Start from the numbered end of the stroke." };
+  if (!c.start) return { title: `Stroke ${n}: wrong start point`, description: `Start ${describeOffset(c.startOff)}.` };
+  if (!c.end) return { title: `Stroke ${n}: wrong end point`, description: `Finish ${describeOffset(c.endOff)}.` };
+  return { title: `Stroke ${n}: shape doesn’t match`, description: "Follow the faint guide — check where the stroke bends or curves." };
+};
+
+// ----------------------------
+// Tracing grade: a finished trace is rated 0–100 from every stroke drawn along the way. Each reference stroke
+// scores on shape deviation, proportion (length vs the guide) and placement of its start / end; retries cost
+// points, more so when the rejected try was reversed or belonged to another stroke (wrong order), and so does
+// ending a stroke the wrong way (tome / hane / harai, see KANA_ENDINGS).
+// ----------------------------
+type TracingTry = { pts: Pt[]; slot: number; ending?: Ending }; // glyph-box units; slot = the reference stroke expected at the time
+type StrokeGrade = {
+  score: number; tries: number; reversed: boolean; outOfOrder: boolean; deviation: number; proportion: number;
+  ending: Ending | null; expected: Ending | null; endingOk: boolean;
+};
+type TracingGrade = { grade: number; strokes: StrokeGrade[]; retries: number }; // retries = rejected tries over all strokes
+
+const clamp01 = (x: number) => Math.max(0, Math.min(1, x));
+
+const gradeTracing = (tries: TracingTry[], reference: Pt[][], endings: Ending[] = []): TracingGrade => {
+  const strokes = reference.map((exp, i): StrokeGrade => {
+    const mine = tries.filter(t => t.slot === i), last = mine[mine.length - 1], accepted = last?.pts ?? [];
+    const rejected = mine.slice(0, -1);
+    const reversed = rejected.some(t => checkStroke(t.pts, exp).reversed);
+    const outOfOrder = rejected.some(t => reference.some((other, j) => j !== i && checkStroke(t.pts, other).ok));
+    const expected = endings[i] ?? null, ending = last?.ending ?? null;
+    if (accepted.length < 2) return { score: 0, tries: mine.length, reversed, outOfOrder, deviation: 1, proportion: 0, ending, expected, endingOk: false };
+    const size = Math.max(bboxDiag(exp), 10), tick = size < 16; // dots and ゛ ticks: only placement counts
+    const endingOk = tick || !expected || !ending || ending === expected;
+    const deviation = tick ? 0 : shapeDistance(accepted, exp) / size;
+    const proportion = tick ? 1 : pathLength(accepted) / Math.max(pathLength(exp), 1);
+    const c = checkStroke(accepted, exp), off = (Math.hypot(...c.startOff) + Math.hypot(...c.endOff)) / 2;
+    const quality = 0.45 * clamp01(1 - deviation / 0.3) + 0.25 * clamp01(1 - Math.abs(Math.log(proportion)) / Math.LN2) + 0.3 * clamp01(1 - off / 16);
+    const penalty = 15 * rejected.length + (reversed || outOfOrder ? 10 : 0) + (endingOk ? 0 : 10);
+    return { score: Math.round(Math.max(0, 100 * quality - penalty)), tries: mine.length, reversed, outOfOrder, deviation, proportion, ending, expected, endingOk };
+  });
+  const grade = strokes.length ? Math.round(strokes.reduce((a, s) => a + s.score, 0) / strokes.length) : 0;
+  return { grade, strokes, retries: strokes.reduce((n, s) => n + Math.max(0, s.tries - 1), 0) };
+};
+
+const strokeGradeNote = (s: StrokeGrade) => [
+  s.tries > 1 && `${s.tries} tries`,
+  s.reversed && "drawn backwards",
+  s.outOfOrder && "out of order",
+  s.proportion && Math.abs(Math.log(s.proportion)) > 0.25 && (s.proportion > 1 ? "too long" : "too short"),
+  s.deviation > 0.15 && "wobbly shape",
+  !s.endingOk && `${s.ending} ending, not ${s.expected}`,
+].filter(Boolean).join(" · ") || "clean";
+
+// per-kana tracing history, kept apart from the quiz high score
+type TracingRecord = { best: number; attempts: number; history: { at: number; grade: number }[] };
+type TracingStore = Record<string, TracingRecord>;
+const TRACING_HISTORY = 20;
+const isTracingStore = (v: unknown) =>
+  recordOf(v, r => numbersIn(r, ["best", "attempts"]) && Array.isArray(r.history) && r.history.every((h: unknown) => numbersIn(h, ["at", "grade"])));
+
+const addTracing = (store: TracingStore, kana: string, grade: number): TracingStore => {
+  const cur = store[kana] ?? { best: 0, attempts: 0, history: [] };
+  return { ...store, [kana]: { best: Math.max(cur.best, grade), attempts: cur.attempts + 1, history: [...cur.history, { at: Date.now(), grade }].slice(-TRACING_HISTORY) } };
+};
+
+// ----------------------------
+// Recorded tracing attempts: every point keeps its time, so a teacher can replay how a stroke was actually written.
+// Exported as JSON (all attempts) or SVG (one attempt, with its JSON in <metadata> so it imports back losslessly).
+// ----------------------------
+type TimedPt = [number, number, number]; // glyph-box x, y and ms since the attempt's first pen-down
+type TraceAttempt = { id: string; kana: string; at: number; grade: number | null; strokes: { pts: TimedPt[]; ok: boolean }[] };
+const ATTEMPTS_KEEP = 60;
+const ATTEMPTS_FORMAT = "katakana-trainer/attempts";
+
+const attemptDuration = (a: TraceAttempt) => { const s = a.strokes[a.strokes.length - 1]?.pts; return s?.length ? s[s.length - 1][2] : 0; };
+
+const isAttempt = (a: any): a is TraceAttempt =>
+  a && typeof a.kana === "string" && typeof a.at === "number" && Array.isArray(a.strokes) &&
+  a.strokes.every((s: any) => Array.isArray(s?.pts) && s.pts.every((p: any) => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite)));
+
+const attemptsToJSON = (list: TraceAttempt[]) => JSON.stringify({ format: ATTEMPTS_FORMAT, version: 1, attempts: list });
+
+const escapeXml = (s: string) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const attemptToSVG = (a: TraceAttempt) => {
+  const guide = strokesFor(a.kana).map(s => `<path d="M${s.map(p => p.map(n => n.toFixed(1)).join(" ")).join(" L")}"/>`).join("");
+  const drawn = a.strokes.map((s, i) =>
+    `<polyline data-stroke="${i + 1}" stroke="${s.ok ? "#111" : "#dc2626"}" points="${s.pts.map(p => `${p[0]},${p[1]}`).join(" ")}"/>`).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100" width="400" height="400">` +
+    `<title>${escapeXml(`${a.kana} — ${new Date(a.at).toLocaleString()}${a.grade !== null ? ` — ${a.grade}/100` : ""}`)}</title>` +
+    `<metadata>${escapeXml(attemptsToJSON([a]))}</metadata>` +
+    `<rect width="100" height="100" fill="#fff"/>` +
+    `<g fill="none" stroke="#000" stroke-opacity="0.12" stroke-width="4" stroke-linecap="round" stroke-linejoin="round">${guide}</g>` +
+    `<g fill="none" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">${drawn}</g></svg>`;
+};
+
+// accepts our JSON export, a bare attempt array / object, or an SVG exported from here
+const parseAttempts = (text: string): TraceAttempt[] => {
+  let json = text.trim();
+  if (json.startsWith("<")) {
+    const meta = new DOMParser().parseFromString(json, "image/svg+xml").querySelector("metadata")?.textContent;
+    if (!meta) throw new Error("This SVG has no recorded attempt in it.");
+    json = meta;
+  }
+  const data = JSON.parse(json);
+  const list: unknown[] = Array.isArray(data) ? data : Array.isArray(data?.attempts) ? data.attempts : [data];
+  const good = list.filter(isAttempt).map(a => ({ ...a, id: typeof a.id === "string" ? a.id : newAttemptId(), grade: typeof a.grade === "number" ? a.grade : null }));
+  if (good.length === 0) throw new Error("No tracing attempts found.");
+  return good;
+};
+
+const newAttemptId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+const downloadText = (name: string, text: string, type: string) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = name; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// ----------------------------
+// Handwriting recognizer for "write from memory": $P-style point-cloud matching against every entry's
+// reference strokes, plus an order/direction-aware per-stroke term when stroke counts agree and a size term
+// (so ッ and ツ, which are the same shape, can still be told apart). Lower score = closer.
+// ----------------------------
+const CLOUD_N = 32;
+
+const normalizeStrokes = (strokes: Pt[][]): { strokes: Pt[][]; size: number } => {
+  const all = strokes.flat();
+  const xs = all.map(p => p[0]), ys = all.map(p => p[1]);
+  const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1e-6);
+  // bounding-box centre, not the point centroid: reference curves carry far more points than straight lines
+  const c: Pt = [(Math.max(...xs) + Math.min(...xs)) / 2, (Math.max(...ys) + Math.min(...ys)) / 2];
+  return { strokes: strokes.map(s => s.map(([x, y]) => [(x - c[0]) / size, (y - c[1]) / size] as Pt)), size };
+};
+
+// CLOUD_N points spread over the strokes in proportion to their length (pen-up jumps are not sampled)
+const cloudOf = (strokes: Pt[][]): Pt[] => {
+  const lengths = strokes.map(pathLength), total = lengths.reduce((a, b) => a + b, 0) || 1;
+  const pts = strokes.flatMap((s, i) => s.length < 2 ? [s[0]] : resample(s, Math.max(2, Math.round(CLOUD_N * lengths[i] / total))));
+  return Array.from({ length: CLOUD_N }, (_, j) => pts[Math.floor(j * pts.length / CLOUD_N)]);
+};
+
+const cloudDistance = (a: Pt[], b: Pt[], start: number) => {
+  const used = new Array(b.length).fill(false);
+  let sum = 0, weights = 0;
+  for (let k = 0; k < a.length; k++) {
+    const i = (start + k) % a.length;
+    let best = Infinity, bestJ = 0;
+    b.forEach((p, j) => { if (!used[j]) { const d = dist(a[i], p); if (d < best) { best = d; bestJ = j; } } });
+    used[bestJ] = true;
+    const w = 1 - k / a.length;
+    sum += w * best; weights += w;
+  }
+  return sum / weights;
+};
+
+const greedyCloudMatch = (a: Pt[], b: Pt[]) => {
+  const step = Math.max(1, Math.floor(Math.sqrt(a.length)));
+  let best = Infinity;
+  for (let i = 0; i < a.length; i += step) best = Math.min(best, cloudDistance(a, b, i), cloudDistance(b, a, i));
+  return best;
+};
+
+type Recognition = { kana: string; score: number };
+
+const recognize = (drawn: Pt[][], candidates: KanaEntry[] = KATAKANA): Recognition[] => {
+  const usable = drawn.filter(s => s.length > 1);
+  if (usable.length === 0) return [];
+  const d = normalizeStrokes(usable), dCloud = cloudOf(d.strokes);
+  return candidates.map(k => {
+    const t = normalizeStrokes(strokesFor(k.kana)), tCloud = cloudOf(t.strokes);
+    const cloud = greedyCloudMatch(dCloud, tCloud);
+    const perStroke = t.strokes.length === d.strokes.length
+      ? d.strokes.reduce((sum, s, i) => {
+          const rs = resample(s, 16), rt = resample(t.strokes[i], 16);
+          return sum + rs.reduce((acc, p, j) => acc + dist(p, rt[j]), 0) / 16;
+        }, 0) / d.strokes.length
+      : cloud + 0.08 * Math.abs(t.strokes.length - d.strokes.length);
+    const sizeTerm = 0.15 * Math.abs(Math.log(d.size / t.size));
+    return { kana: k.kana, score: 0.5 * cloud + 0.5 * perStroke + sizeTerm };
+  }).sort((a, b) => a.score - b.score);
+};
+
+// ----------------------------
+// Stroke Tracing Canvas
 // ----------------------------
+// The glyph box is the guide grid inside the canvas (10%–90% on both axes).
+const GLYPH_INSET = 0.1;
+const toCanvas = ([x, y]: Pt, w: number, h: number): Pt =>
+  [w * GLYPH_INSET + (x / 100) * w * (1 - 2 * GLYPH_INSET), h * GLYPH_INSET + (y / 100) * h * (1 - 2 * GLYPH_INSET)];
+const toGlyph = ([x, y]: Pt, w: number, h: number): Pt =>
+  [((x - w * GLYPH_INSET) / (w * (1 - 2 * GLYPH_INSET))) * 100, ((y - h * GLYPH_INSET) / (h * (1 - 2 * GLYPH_INSET))) * 100];
 
-const KATAKANA: { kana: string; romaji: string; row: string; directions: ("H"|"V"|"DU"|"DD"|"DOT")[] }[] = [
-  // A-row
-  { kana: "ア", romaji: "a", row: "a", directions: ["DD", "V"] },
-  { kana: "イ", romaji: "i", row: "a", directions: ["DD", "DD"] },
-  { kana: "ウ", romaji: "u", row: "a", directions: ["DOT", "V"] },
-  { kana: "エ", romaji: "e", row: "a", directions: ["H", "H", "V"] },
-  { kana: "オ", romaji: "o", row: "a", directions: ["H", "V", "DD"] },
-  // KA-row
-  { kana: "カ", romaji: "ka", row: "ka", directions: ["DD", "V"] },
-  { kana: "キ", romaji: "ki", row: "ka", directions: ["H", "H", "V"] },
-  { kana: "ク", romaji: "ku", row: "ka", directions: ["DD"] },
-  { kana: "ケ", romaji: "ke", row: "ka", directions: ["H", "V", "H"] },
-  { kana: "コ", romaji: "ko", row: "ka", directions: ["H", "H"] },
-  // SA-row
-  { kana: "サ", romaji: "sa", row: "sa", directions: ["H", "V", "DD"] },
-  { kana: "シ", romaji: "shi", row: "sa", directions: ["DD", "DD", "DD"] },
-  { kana: "ス", romaji: "su", row: "sa", directions: ["H", "DD"] },
-  { kana: "セ", romaji: "se", row: "sa", directions: ["H", "V", "H"] },
-  { kana: "ソ", romaji: "so", row: "sa", directions: ["DD", "DD"] },
-  // TA-row
-  { kana: "タ", romaji: "ta", row: "ta", directions: ["H", "V", "DD"] },
-  { kana: "チ", romaji: "chi", row: "ta", directions: ["H", "DD"] },
-  { kana: "ツ", romaji: "tsu", row: "ta", directions: ["DD", "DD", "DD"] },
-  { kana: "テ", romaji: "te", row: "ta", directions: ["H"] },
-  { kana: "ト", romaji: "to", row: "ta", directions: ["DD", "V"] },
-  // NA-row
-  { kana: "ナ", romaji: "na", row: "na", directions: ["H", "V"] },
-  { kana: "ニ", romaji: "ni", row: "na", directions: ["H", "H"] },
-  { kana: "ヌ", romaji: "nu", row: "na", directions: ["H", "DD"] },
-  { kana: "ネ", romaji: "ne", row: "na", directions: ["DOT", "H", "V", "DD"] },
-  { kana: "ノ", romaji: "no", row: "na", directions: ["DD"] },
-  // HA-row
-  { kana: "ハ", romaji: "ha", row: "ha", directions: ["DD", "DU"] },
-  { kana: "ヒ", romaji: "hi", row: "ha", directions: ["DD", "DD"] },
-  { kana: "フ", romaji: "fu", row: "ha", directions: ["H"] },
-  { kana: "ヘ", romaji: "he", row: "ha", directions: ["DU"] },
-  { kana: "ホ", romaji: "ho", row: "ha", directions: ["H", "V", "H", "DD"] },
-  // MA-row
-  { kana: "マ", romaji: "ma", row: "ma", directions: ["DD", "H"] },
-  { kana: "ミ", romaji: "mi", row: "ma", directions: ["DD", "DD", "DD"] },
-  { kana: "ム", romaji: "mu", row: "ma", directions: ["DD", "H"] },
-  { kana: "メ", romaji: "me", row: "ma", directions: ["H", "DD"] },
-  { kana: "モ", romaji: "mo", row: "ma", directions: ["H", "H", "V"] },
-  // YA-row
-  { kana: "ヤ", romaji: "ya", row: "ya", directions: ["H", "DD"] },
-  { kana: "ユ", romaji: "yu", row: "ya", directions: ["H", "V"] },
-  { kana: "ヨ", romaji: "yo", row: "ya", directions: ["H", "H", "V"] },
-  // RA-row
-  { kana: "ラ", romaji: "ra", row: "ra", directions: ["DD", "H"] },
-  { kana: "リ", romaji: "ri", row: "ra", directions: ["DD", "DD"] },
-  { kana: "ル", romaji: "ru", row: "ra", directions: ["DD", "H"] },
-  { kana: "レ", romaji: "re", row: "ra", directions: ["DD"] },
-  { kana: "ロ", romaji: "ro", row: "ra", directions: ["H", "V"] },
-  // WA-row
-  { kana: "ワ", romaji: "wa", row: "wa", directions: ["DD", "H"] },
-  { kana: "ヲ", romaji: "wo", row: "wa", directions: ["H", "V", "H"] },
-  { kana: "ン", romaji: "n", row: "wa", directions: ["DD"] },
-];
-
-const ROWS = [
-  { key: "a", label: "A-row (ア)" },
-  { key: "ka", label: "KA-row (カ)" },
-  { key: "sa", label: "SA-row (サ)" },
-  { key: "ta", label: "TA-row (タ)" },
-  { key: "na", label: "NA-row (ナ)" },
-  { key: "ha", label: "HA-row (ハ)" },
-  { key: "ma", label: "MA-row (マ)" },
-  { key: "ya", label: "YA-row (ヤ)" },
-  { key: "ra", label: "RA-row (ラ)" },
-  { key: "wa", label: "WA-row (ワ)" },
-];
+const drawGuideGrid = (ctx: CanvasRenderingContext2D, w: number, h: number) => {
+  ctx.save();
+  ctx.globalAlpha = 0.08;
+  ctx.beginPath();
+  ctx.moveTo(w*0.1, h*0.1); ctx.lineTo(w*0.9, h*0.1);
+  ctx.moveTo(w*0.1, h*0.5); ctx.lineTo(w*0.9, h*0.5);
+  ctx.moveTo(w*0.1, h*0.9); ctx.lineTo(w*0.9, h*0.9);
+  ctx.moveTo(w*0.1, h*0.1); ctx.lineTo(w*0.1, h*0.9);
+  ctx.moveTo(w*0.5, h*0.1); ctx.lineTo(w*0.5, h*0.9);
+  ctx.moveTo(w*0.9, h*0.1); ctx.lineTo(w*0.9, h*0.9);
+  ctx.strokeStyle = "#000"; ctx.lineWidth = 2; ctx.stroke();
+  ctx.restore();
+};
 
-// Helpers
-const rand = (n: number) => Math.floor(Math.random() * n);
-const classifyAngle = (dx: number, dy: number): "H"|"V"|"DU"|"DD" => {
-  const adx = Math.abs(dx), ady = Math.abs(dy);
-  if (adx > ady) return "H"; // mostly horizontal
-  if (ady > adx) return "V"; // mostly vertical
-  // if nearly equal, decide by sign
-  return (dx * dy < 0) ? "DU" : "DD";
+const tracePath = (ctx: CanvasRenderingContext2D, pts: Pt[]) => {
+  ctx.beginPath();
+  pts.forEach((p, i) => { if (i === 0) ctx.moveTo(p[0], p[1]); else ctx.lineTo(p[0], p[1]); });
+  ctx.stroke();
 };
 
-// LocalStorage helpers
-const LS_KEYS = { highScore: "katakana_high_score_v1", settings: "katakana_settings_v1" } as const;
+// numbered circle on a stroke's start, with a short arrow along its first stretch
+const drawStartMarker = (ctx: CanvasRenderingContext2D, pts: Pt[], n: number, emphasis: boolean) => {
+  const [x, y] = pts[0];
+  const ahead = pts[Math.min(pts.length - 1, Math.max(1, Math.floor(pts.length / 4)))];
+  const ang = Math.atan2(ahead[1] - y, ahead[0] - x);
+  ctx.save();
+  ctx.globalAlpha = emphasis ? 0.9 : 0.35;
+  ctx.strokeStyle = "#111"; ctx.fillStyle = "#111"; ctx.lineWidth = 3; ctx.lineCap = "round";
+  const tx = x + Math.cos(ang) * 42, ty = y + Math.sin(ang) * 42;
+  ctx.beginPath(); ctx.moveTo(x, y); ctx.lineTo(tx, ty); ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(tx, ty);
+  ctx.lineTo(tx - 10*Math.cos(ang - Math.PI/6), ty - 10*Math.sin(ang - Math.PI/6));
+  ctx.lineTo(tx - 10*Math.cos(ang + Math.PI/6), ty - 10*Math.sin(ang + Math.PI/6));
+  ctx.closePath(); ctx.fill();
+  ctx.fillStyle = emphasis ? "#0f172a" : "rgba(0,0,0,0.65)";
+  ctx.beginPath(); ctx.arc(x, y, 12, 0, Math.PI*2); ctx.fill();
+  ctx.fillStyle = "white"; ctx.font = "bold 13px system-ui"; ctx.textAlign = "center"; ctx.textBaseline = "middle";
+  ctx.fillText(String(n), x, y);
+  ctx.restore();
+};
 
 // ----------------------------
-// Stroke Tracing Canvas
+// HiDPI canvas layer: the bitmap follows the element's CSS size × devicePixelRatio (ResizeObserver, or window resize
+// where there is none, plus a resolution media query for zoom / moving between screens), while callers keep drawing
+// in a fixed logical square — so guides, markers and ink widths look the same at any size, just sharper.
 // ----------------------------
+const TRACE_SIZE = 720; // logical units of the tracing canvas
+const REPLAY_SIZE = 360; // logical units of the animation / replay canvases
+
+const useCanvasLayer = (logical: number) => {
+  const ref = useRef<HTMLCanvasElement | null>(null);
+  const [layout, setLayout] = useState({ w: logical, h: logical, dpr: 1 });
+
+  useEffect(() => {
+    const c = ref.current; if (!c) return;
+    let mq: MediaQueryList | null = null;
+    const measure = () => {
+      const r = c.getBoundingClientRect(), dpr = window.devicePixelRatio || 1;
+      const w = r.width || logical, h = r.height || logical;
+      const pw = Math.max(1, Math.round(w * dpr)), ph = Math.max(1, Math.round(h * dpr));
+      if (c.width !== pw || c.height !== ph) { c.width = pw; c.height = ph; } // resizing also wipes the bitmap
+      setLayout(l => l.w === w && l.h === h && l.dpr === dpr ? l : { w, h, dpr });
+    };
+    const onDpr = () => { measure(); watchDpr(); };
+    const watchDpr = () => {
+      mq?.removeEventListener("change", onDpr);
+      if (typeof window.matchMedia !== "function") return;
+      mq = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+      mq.addEventListener("change", onDpr);
+    };
+    // older browsers (and jsdom) have no ResizeObserver: window resizes are the next best signal
+    const ro = typeof ResizeObserver !== "undefined" ? new ResizeObserver(measure) : null;
+    if (ro) ro.observe(c); else window.addEventListener("resize", measure);
+    measure(); watchDpr();
+    return () => { ro?.disconnect(); window.removeEventListener("resize", measure); mq?.removeEventListener("change", onDpr); };
+  }, [logical]);
+
+  // 2D context with the transform set so drawing happens in logical units
+  const context = () => {
+    const c = ref.current, ctx = c?.getContext("2d");
+    if (!c || !ctx) return null;
+    ctx.setTransform(c.width / logical, 0, 0, c.height / logical, 0, 0);
+    return ctx;
+  };
+  // pointer position in logical units, whatever size the canvas is shown at
+  const pointer = (e: { clientX: number; clientY: number }): Pt => {
+    const r = ref.current!.getBoundingClientRect();
+    return [((e.clientX - r.left) / r.width) * logical, ((e.clientY - r.top) / r.height) * logical];
+  };
+
+  return { ref, layout, context, pointer };
+};
+
+// Retry stroke: drop the last accepted stroke and every rejected try after it, so the validator expects that stroke again
+const retryLast = <T extends { ok: boolean }>(strokes: T[]): T[] => strokes.slice(0, Math.max(0, strokes.map(s => s.ok).lastIndexOf(true)));
+
 function StrokeCanvas({
   kana,
-  expected,
   onMatch,
+  onComplete,
+  onAttempt,
   resetSignal,
+  variant = "trace",
+  onStrokes,
+  hint = false,
 }: {
   kana: string;
-  expected: ("H"|"V"|"DU"|"DD"|"DOT")[];
-  onMatch: (ok: boolean) => void;
+  onMatch?: (ok: boolean) => void; // after every checked stroke
+  onComplete?: (grade: TracingGrade) => void; // once every reference stroke is matched
+  onAttempt?: (attempt: TraceAttempt) => void; // timed recording, on completion or when an unfinished trace is cleared
   resetSignal: number; // bump to force clearing
+  variant?: "trace" | "free"; // "free" = blank canvas, no guide and no per-stroke validation (write from memory)
+  onStrokes?: (strokes: Pt[][]) => void; // drawn strokes in glyph-box units, after every change
+  hint?: boolean; // "free" only: faintly show the next stroke to write, with its number at the start
 }) {
-  const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const [strokes, setStrokes] = useState<{ pts: [number,number][], cls: "H"|"V"|"DU"|"DD" }[]>([]);
+  const layer = useCanvasLayer(TRACE_SIZE);
+  const reference = useMemo(() => strokesFor(kana), [kana]);
+  const endings = useMemo(() => endingsFor(kana), [kana]);
+  type Drawn = StrokeSample & { ok: boolean, slot: number, ending: Ending };
+  const [strokes, setStrokes] = useState<Drawn[]>([]);
+  // undo / redo: snapshots of the stroke list; match progress is derived from it, so it can't drift
+  const [past, setPast] = useState<Drawn[][]>([]);
+  const [future, setFuture] = useState<Drawn[][]>([]);
+  const matched = variant === "free" ? 0 : strokes.filter(s => s.ok).length;
   const [isDown, setIsDown] = useState(false);
-  const [curPts, setCurPts] = useState<[number,number][]>([]);
-  const [matched, setMatched] = useState(0);
+  const [curPts, setCurPts] = useState<Pt[]>([]);
+  const curTimes = useRef<number[]>([]);
+  const curPressure = useRef<number[]>([]);
+  const [lastSample, setLastSample] = useState<{ speed: number[]; pressure: number[] | null; ending: Ending; expected: Ending | null } | null>(null);
+  const startedAt = useRef<number | null>(null);
+  const unfinished = useRef<TraceAttempt | null>(null); // handed to onAttempt when the canvas is cleared
 
-  // Reset on signal or kana change
-  useEffect(() => { setStrokes([]); setCurPts([]); setIsDown(false); setMatched(0); clearCanvas(); }, [resetSignal, kana]);
+  const completed = useRef(false); // finished and recorded: undoing and redrawing strokes doesn't grade it again
+  const archive = () => {
+    if (unfinished.current) onAttempt?.(unfinished.current);
+    unfinished.current = null; startedAt.current = null; completed.current = false;
+  };
 
-  const clearCanvas = () => {
-    const c = canvasRef.current; if (!c) return;
-    const ctx = c.getContext("2d"); if (!ctx) return;
-    ctx.clearRect(0,0,c.width,c.height);
-    // draw guide grid + glyph
-    const w = c.width, h = c.height;
-    ctx.save();
-    ctx.globalAlpha = 0.08;
-    ctx.beginPath();
-    ctx.moveTo(w*0.1, h*0.1); ctx.lineTo(w*0.9, h*0.1);
-    ctx.moveTo(w*0.1, h*0.5); ctx.lineTo(w*0.9, h*0.5);
-    ctx.moveTo(w*0.1, h*0.9); ctx.lineTo(w*0.9, h*0.9);
-    ctx.moveTo(w*0.1, h*0.1); ctx.lineTo(w*0.1, h*0.9);
-    ctx.moveTo(w*0.5, h*0.1); ctx.lineTo(w*0.5, h*0.9);
-    ctx.moveTo(w*0.9, h*0.1); ctx.lineTo(w*0.9, h*0.9);
-    ctx.strokeStyle = "#000"; ctx.lineWidth = 2; ctx.stroke();
-    ctx.restore();
+  // Reset on signal or kana change (an unfinished trace is still recorded)
+  useEffect(() => { archive(); setStrokes([]); setPast([]); setFuture([]); setCurPts([]); setIsDown(false); setLastSample(null); clearCanvas(); }, [resetSignal, kana]);
+  useEffect(() => () => archive(), []);
 
-    // Big kana
-    ctx.save();
-    ctx.globalAlpha = 0.18;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.font = `${Math.floor(h*0.72)}px \"Noto Sans JP\", \"Hiragino Kaku Gothic ProN\", system-ui, sans-serif`;
-    ctx.fillText(kana, w/2, h/2 + h*0.03);
-    ctx.restore();
+  // every edit goes through here so it can be undone
+  const commit = (next: Drawn[]) => {
+    setPast(p => [...p, strokes]);
+    setFuture([]);
+    setStrokes(next);
+    if (next.length === 0) archive();
+    else if (!completed.current) unfinished.current = recordOf(next, null);
+  };
+  // undo / redo: back at a blank canvas there is nothing left to record, and the next stroke starts a new attempt
+  const restore = (snapshot: Drawn[]) => {
+    setStrokes(snapshot);
+    setLastSample(null);
+    if (snapshot.length === 0) { unfinished.current = null; startedAt.current = null; completed.current = false; }
+    else if (!completed.current) unfinished.current = recordOf(snapshot, null);
+  };
+  const undo = () => {
+    if (past.length === 0) return;
+    setFuture(f => [...f, strokes]);
+    restore(past[past.length - 1]);
+    setPast(p => p.slice(0, -1));
+  };
+  const redo = () => {
+    if (future.length === 0) return;
+    setPast(p => [...p, strokes]);
+    restore(future[future.length - 1]);
+    setFuture(f => f.slice(0, -1));
+  };
+  const canRetry = variant === "trace" && strokes.length > 0;
+  const retryStroke = () => {
+    if (!canRetry) return;
+    commit(retryLast(strokes));
+    setLastSample(null);
+  };
 
-    // expected arrow hints (generic positions)
-    const step = Math.min(w,h) * 0.08;
-    expected.forEach((d, i) => {
-      drawArrow(ctx, w*0.18 + i*step*1.3, h*0.16 + i*step*0.9, d);
-      // number badge
-      ctx.save();
-      ctx.fillStyle = "rgba(0,0,0,0.65)";
-      ctx.beginPath(); ctx.arc(w*0.18 + i*step*1.3, h*0.16 + i*step*0.9, 10, 0, Math.PI*2); ctx.fill();
-      ctx.fillStyle = "white"; ctx.font = "12px system-ui"; ctx.textAlign = "center"; ctx.textBaseline = "middle";
-      ctx.fillText(String(i+1), w*0.18 + i*step*1.3, h*0.16 + i*step*0.9);
-      ctx.restore();
-    });
+  // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y only reach the canvas that has focus (drawing on it focuses it), so two canvases
+  // on one page never both undo
+  const box = useRef<HTMLDivElement | null>(null);
+  const onKey = (e: React.KeyboardEvent) => {
+    const key = e.key.toLowerCase();
+    if (!(e.ctrlKey || e.metaKey) || (key !== "z" && key !== "y")) return;
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) redo(); else undo();
+  };
+
+  const recordOf = (list: typeof strokes, grade: number | null): TraceAttempt => {
+    const r = (n: number) => Math.round(n * 10) / 10;
+    return {
+      id: newAttemptId(), kana, at: Date.now(), grade,
+      strokes: list.map(s => ({ ok: s.ok, pts: s.pts.map(([x, y], i) => [r(x), r(y), Math.round(s.t[i])] as TimedPt) })),
+    };
   };
 
-  const drawArrow = (ctx: CanvasRenderingContext2D, x: number, y: number, d: "H"|"V"|"DU"|"DD") => {
-    const len = 38;
+  const clearCanvas = () => {
+    const ctx = layer.context(); if (!ctx) return;
+    const w = TRACE_SIZE, h = TRACE_SIZE;
+    ctx.clearRect(0, 0, w, h);
+    // draw guide grid + glyph
+    drawGuideGrid(ctx, w, h);
+
+    // Reference strokes as a faint guide (from the bundled paths, so it lines up with validation); writing from
+    // memory gets none, unless Hint asked for the next stroke
+    const next = variant === "free" ? strokes.length : -1;
+    if (variant === "free" && !(hint && reference[next])) return;
+    const guide = reference.map(s => s.map(p => toCanvas(p, w, h)));
     ctx.save();
-    ctx.globalAlpha = 0.75;
-    ctx.strokeStyle = "#111"; ctx.lineWidth = 3; ctx.lineCap = "round"; ctx.lineJoin = "round";
-    let dx = 0, dy = 0, ang = 0;
-    if (d === "H") { dx = len; dy = 0; ang = 0; }
-    if (d === "V") { dx = 0; dy = len; ang = Math.PI/2; }
-    if (d === "DU") { dx = len*0.8; dy = -len*0.8; ang = -Math.PI/4; }
-    if (d === "DD") { dx = len*0.8; dy = len*0.8; ang = Math.PI/4; }
-    ctx.beginPath(); ctx.moveTo(x, y); ctx.lineTo(x+dx, y+dy); ctx.stroke();
-    // arrow head
-    const hx = x+dx, hy = y+dy;
-    ctx.beginPath();
-    ctx.moveTo(hx, hy);
-    ctx.lineTo(hx - 10*Math.cos(ang - Math.PI/6), hy - 10*Math.sin(ang - Math.PI/6));
-    ctx.lineTo(hx - 10*Math.cos(ang + Math.PI/6), hy - 10*Math.sin(ang + Math.PI/6));
-    ctx.closePath(); ctx.fillStyle = "#111"; ctx.fill();
+    ctx.globalAlpha = 0.16;
+    ctx.strokeStyle = "#000"; ctx.lineWidth = w * (kana.length > 1 ? 0.022 : 0.04); ctx.lineCap = "round"; ctx.lineJoin = "round";
+    (next >= 0 ? [guide[next]] : guide).forEach(s => tracePath(ctx, s));
     ctx.restore();
+    if (next >= 0) { drawStartMarker(ctx, guide[next], next + 1, true); return; }
+
+    // numbered stroke starts; the next stroke to draw is emphasised, finished ones are hidden
+    guide.forEach((s, i) => { if (i >= matched) drawStartMarker(ctx, s, i + 1, i === matched); });
   };
 
-  useEffect(() => { clearCanvas(); }, [kana]);
+  // report strokes to the parent (free drawing is judged by the recognizer, not stroke by stroke)
+  const onStrokesRef = useLatest(onStrokes);
+  useEffect(() => { onStrokesRef.current?.(strokes.map(s => s.pts)); }, [strokes, onStrokesRef]);
 
   useEffect(() => {
-    const c = canvasRef.current; if (!c) return;
-    const ctx = c.getContext("2d"); if (!ctx) return;
+    const ctx = layer.context(); if (!ctx) return;
+    const ink = (pts: Pt[], t: number[], p: number[]) => {
+      const onCanvas = pts.map(q => toCanvas(q, TRACE_SIZE, TRACE_SIZE));
+      drawInk(ctx, onCanvas, inkWidths(onCanvas, t, p, INK_WIDTH));
+    };
 
     const redraw = () => {
       clearCanvas();
-      // draw previous strokes
+      // draw previous strokes as brush ink (rejected ones in red)
       ctx.save();
-      ctx.strokeStyle = "#111"; ctx.lineWidth = 6; ctx.lineCap = "round"; ctx.lineJoin = "round";
-      strokes.forEach(s => {
-        ctx.beginPath();
-        s.pts.forEach((p, i) => { if (i===0) ctx.moveTo(p[0], p[1]); else ctx.lineTo(p[0], p[1]); });
-        ctx.stroke();
-      });
+      strokes.forEach(s => { ctx.strokeStyle = s.ok ? "#111" : "#dc2626"; ink(s.pts, s.t, s.p); });
       // draw current stroke in progress
-      if (curPts.length > 1) {
-        ctx.beginPath();
-        curPts.forEach((p, i) => { if (i===0) ctx.moveTo(p[0], p[1]); else ctx.lineTo(p[0], p[1]); });
-        ctx.stroke();
-      }
+      ctx.strokeStyle = "#111";
+      if (curPts.length > 1) ink(curPts, curTimes.current, curPressure.current);
       ctx.restore();
     };
 
     redraw();
-  }, [strokes, curPts]);
+  }, [strokes, curPts, matched, reference, layer.layout, hint]);
+
+  // strokes are kept in glyph-box units, so checking never depends on how big the canvas is on screen
+  const glyphAt = (e: React.PointerEvent<HTMLCanvasElement>) => toGlyph(layer.pointer(e), TRACE_SIZE, TRACE_SIZE);
 
   const onDown = (e: React.PointerEvent<HTMLCanvasElement>) => {
-    const rect = (e.target as HTMLCanvasElement).getBoundingClientRect();
+    box.current?.focus({ preventScroll: true });
     setIsDown(true);
-    setCurPts([[e.clientX - rect.left, e.clientY - rect.top]]);
+    setCurPts([glyphAt(e)]);
+    startedAt.current ??= e.timeStamp;
+    curTimes.current = [e.timeStamp - startedAt.current];
+    curPressure.current = [e.pressure];
   };
   const onMove = (e: React.PointerEvent<HTMLCanvasElement>) => {
     if (!isDown) return;
-    const rect = (e.target as HTMLCanvasElement).getBoundingClientRect();
-    setCurPts(prev => [...prev, [e.clientX - rect.left, e.clientY - rect.top]]);
+    const g = glyphAt(e);
+    setCurPts(prev => [...prev, g]);
+    curTimes.current.push(e.timeStamp - (startedAt.current ?? e.timeStamp));
+    curPressure.current.push(e.pressure);
   };
-  const onUp = () => {
+  const onUp = (e: React.PointerEvent<HTMLCanvasElement>) => {
     if (!isDown) return;
     setIsDown(false);
     if (curPts.length < 2) { setCurPts([]); return; }
-    const [sx, sy] = curPts[0];
-    const [ex, ey] = curPts[curPts.length-1];
-    const cls = classifyAngle(ex - sx, ey - sy);
-    const s = { pts: curPts, cls } as const;
+    const t = curTimes.current;
+    const sample: StrokeSample = { pts: curPts, t, p: curPressure.current, rest: e.timeStamp - (startedAt.current ?? e.timeStamp) - t[t.length - 1] };
+    const ending = detectEnding(sample);
+    if (variant === "free") { commit([...strokes, { ...sample, ending, ok: true, slot: strokes.length }]); setCurPts([]); return; }
+    const exp = reference[matched];
+    if (!exp) { setCurPts([]); toast.message("All strokes done", { description: "Clear to trace it again." }); return; }
+
+    // check start, end and shape against the reference stroke
+    const result = checkStroke(curPts, exp);
+    const next = [...strokes, { ...sample, ending, ok: result.ok, slot: matched }];
+    commit(next);
     setCurPts([]);
-    setStrokes(prev => [...prev, s]);
-
-    // check against expected pattern
-    const exp = expected[matched];
-    const ok = exp ? (exp === cls || (exp === "DOT" && curPts.length < 8)) : false;
-    if (ok) {
-      setMatched(m => m+1);
-      onMatch(true);
-      if (matched + 1 === expected.length) {
-        toast.success("Stroke pattern matched!", { description: "Nice tracing." });
+    setLastSample({ speed: speedsOf(sample.pts, t), pressure: realPressure(sample.p) ? sample.p : null, ending, expected: endings[matched] ?? null });
+    if (result.ok) {
+      onMatch?.(true);
+      // the shape is right; the ending is coaching rather than a rejection (dots and ticks are too short to judge)
+      const want = endings[matched];
+      if (want && ending !== want && bboxDiag(exp) >= 16) {
+        toast.info(`Stroke ${matched + 1} should end in ${want}`, { description: `It ended in ${ending} — ${ENDING_TIPS[want]}.` });
+      }
+      if (matched + 1 === reference.length && completed.current) {
+        toast.message("Already graded", { description: "Clear to trace it again for a new grade." });
+      } else if (matched + 1 === reference.length) {
+        const grade = gradeTracing(next.map(s => ({ pts: s.pts, slot: s.slot, ending: s.ending })), reference, endings);
+        onAttempt?.(recordOf(next, grade.grade));
+        unfinished.current = null; completed.current = true;
+        if (onComplete) onComplete(grade);
+        else toast.success("All strokes matched!", { description: "Nice tracing." });
       }
     } else {
-      onMatch(false);
-      toast.error("Stroke direction didn’t match", { description: `Expected ~${exp}, got ${cls}` });
+      onMatch?.(false);
+      const f = strokeFeedback(matched + 1, result);
+      toast.error(f.title, { description: f.description });
     }
   };
 
   return (
-    <div className="w-full">
+    <div ref={box} tabIndex={-1} onKeyDown={onKey} className="w-full outline-none">
       <div className="flex items-center justify-between mb-2">
-        <div className="text-sm text-muted-foreground">Trace over the faint kana. The checker looks at each stroke’s general direction.</div>
-        <Button size="sm" variant="secondary" onClick={() => setStrokes([])} className="gap-2"><Eraser className="size-4"/>Clear</Button>
+        <div className="text-sm text-muted-foreground">{variant === "free"
+          ? "Write the character from memory, in stroke order."
+          : "Trace over the faint kana, starting at each number. Every stroke is checked for its start, end and shape."}</div>
+        <div className="flex items-center gap-1 shrink-0">
+          <Button size="icon" variant="ghost" className="size-8" onClick={undo} disabled={past.length === 0} title="Undo (Ctrl+Z)"><Undo2 className="size-4"/></Button>
+          <Button size="icon" variant="ghost" className="size-8" onClick={redo} disabled={future.length === 0} title="Redo (Ctrl+Shift+Z)"><Redo2 className="size-4"/></Button>
+          {variant === "trace" && <Button size="sm" variant="ghost" onClick={retryStroke} disabled={!canRetry} title="Take back the last stroke and try it again">Retry stroke</Button>}
+          <Button size="sm" variant="secondary" onClick={() => { if (strokes.length) commit([]); setLastSample(null); }} className="gap-2"><Eraser className="size-4"/>Clear</Button>
+        </div>
       </div>
       <div className="w-full aspect-square rounded-2xl bg-white shadow-inner overflow-hidden">
         <canvas
-          ref={canvasRef}
-          width={720}
-          height={720}
+          ref={layer.ref}
           onPointerDown={onDown}
           onPointerMove={onMove}
           onPointerUp={onUp}
@@ -285,7 +2056,179 @@ function StrokeCanvas({
           className="w-full h-full touch-none cursor-crosshair"
         />
       </div>
-      <div className="mt-2 text-xs text-muted-foreground">Expected steps: {expected.length} &middot; Matched: {matched}</div>
+      {variant === "trace" && (
+        <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-xs text-muted-foreground">
+          <span>Strokes: {reference.length} &middot; Matched: {matched}</span>
+          {lastSample && (
+            <span title="Speed and pressure along the last stroke">
+              Last stroke: <span className={lastSample.expected && lastSample.ending !== lastSample.expected ? "text-amber-600" : "text-slate-900"}>{lastSample.ending}</span>
+              {lastSample.expected && lastSample.ending !== lastSample.expected && <> (expected {lastSample.expected})</>}
+              {" "}&middot; speed <span className="font-mono">{sparkline(lastSample.speed)}</span>
+              {lastSample.pressure && <> &middot; pressure <span className="font-mono">{sparkline(lastSample.pressure)}</span></>}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ----------------------------
+// Stroke-order animation (offline, drawn from the bundled paths)
+// progress runs 0..N strokes: the integer part is finished strokes, the fraction is how much of the next is drawn.
+// ----------------------------
+const ANIM_SPEEDS = [0.5, 1, 2];
+const STROKE_SECONDS = 0.9; // per stroke at 1×
+
+function StrokeAnimation({ kana }: { kana: string }) {
+  const layer = useCanvasLayer(REPLAY_SIZE);
+  const reference = useMemo(() => strokesFor(kana), [kana]);
+  const [progress, setProgress] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // start over whenever the character changes
+  useEffect(() => { setProgress(0); setPlaying(true); }, [kana]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let raf = 0, last = performance.now();
+    const tick = (now: number) => {
+      const dt = (now - last) / 1000; last = now;
+      setProgress(p => Math.min(reference.length, p + (dt * speed) / STROKE_SECONDS));
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, speed, reference]);
+
+  useEffect(() => { if (playing && progress >= reference.length) setPlaying(false); }, [playing, progress, reference]);
+
+  useEffect(() => {
+    const ctx = layer.context(); if (!ctx) return;
+    const w = REPLAY_SIZE, h = REPLAY_SIZE;
+    ctx.clearRect(0, 0, w, h);
+    drawGuideGrid(ctx, w, h);
+    const strokes = reference.map(s => resample(s, 48).map(p => toCanvas(p, w, h)));
+    const lineWidth = w * (kana.length > 1 ? 0.022 : 0.04);
+    ctx.save();
+    ctx.lineCap = "round"; ctx.lineJoin = "round"; ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = "rgba(0,0,0,0.1)";
+    strokes.forEach(s => tracePath(ctx, s));
+    ctx.strokeStyle = "#111";
+    strokes.forEach((s, i) => {
+      const part = Math.max(0, Math.min(1, progress - i));
+      if (part > 0) tracePath(ctx, s.slice(0, Math.max(2, Math.round(part * s.length))));
+    });
+    ctx.restore();
+    strokes.forEach((s, i) => drawStartMarker(ctx, s, i + 1, i === Math.min(Math.floor(progress), strokes.length - 1)));
+  }, [progress, reference, kana, layer.layout]);
+
+  const done = Math.floor(progress + 1e-6);
+  const step = (dir: 1 | -1) => {
+    setPlaying(false);
+    setProgress(p => dir > 0 ? Math.min(reference.length, Math.floor(p + 1e-6) + 1) : Math.max(0, Math.ceil(p - 1e-6) - 1));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="w-full max-w-[360px] mx-auto aspect-square rounded-2xl bg-white shadow-inner overflow-hidden">
+        <canvas ref={layer.ref} className="w-full h-full" />
+      </div>
+      <div className="flex items-center justify-center gap-2">
+        <Button size="icon" variant="ghost" onClick={() => step(-1)} disabled={progress <= 0} title="Previous stroke"><SkipBack className="size-4"/></Button>
+        <Button
+          size="sm"
+          className="gap-2 w-24"
+          onClick={() => { if (progress >= reference.length) setProgress(0); setPlaying(p => !p); }}
+        >
+          {playing ? <><Pause className="size-4"/> Pause</> : <><Play className="size-4"/> Play</>}
+        </Button>
+        <Button size="icon" variant="ghost" onClick={() => step(1)} disabled={progress >= reference.length} title="Next stroke"><SkipForward className="size-4"/></Button>
+        <Button size="icon" variant="ghost" onClick={() => { setProgress(0); setPlaying(false); }} title="Back to start"><RotateCcw className="size-4"/></Button>
+        <Select value={String(speed)} onValueChange={(v: any) => setSpeed(Number(v))}>
+          <SelectTrigger className="w-[80px] h-8 text-xs"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            {ANIM_SPEEDS.map(x => <SelectItem key={x} value={String(x)}>{x}×</SelectItem>)}
+          </SelectContent>
+        </Select>
+      </div>
+      <div className="text-center text-xs text-muted-foreground">Stroke {Math.min(done + (progress < reference.length ? 1 : 0), reference.length)} of {reference.length}</div>
+    </div>
+  );
+}
+
+// ----------------------------
+// Replay of a recorded attempt, in its own timing (pauses between strokes included)
+// ----------------------------
+function AttemptReplay({ attempt }: { attempt: TraceAttempt }) {
+  const layer = useCanvasLayer(REPLAY_SIZE);
+  const reference = useMemo(() => strokesFor(attempt.kana), [attempt.kana]);
+  const ends = useMemo(() => attempt.strokes.map(s => s.pts[s.pts.length - 1]?.[2] ?? 0), [attempt]);
+  const duration = attemptDuration(attempt);
+  const [clock, setClock] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  useEffect(() => { setClock(0); setPlaying(true); }, [attempt]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let raf = 0, last = performance.now();
+    const tick = (now: number) => {
+      const dt = now - last; last = now;
+      setClock(c => Math.min(duration, c + dt * speed));
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, speed, duration]);
+
+  useEffect(() => { if (playing && clock >= duration) setPlaying(false); }, [playing, clock, duration]);
+
+  useEffect(() => {
+    const ctx = layer.context(); if (!ctx) return;
+    const w = REPLAY_SIZE, h = REPLAY_SIZE;
+    ctx.clearRect(0, 0, w, h);
+    drawGuideGrid(ctx, w, h);
+    ctx.save();
+    ctx.lineCap = "round"; ctx.lineJoin = "round";
+    ctx.globalAlpha = 0.12; ctx.strokeStyle = "#000"; ctx.lineWidth = w * (attempt.kana.length > 1 ? 0.022 : 0.04);
+    reference.forEach(s => tracePath(ctx, s.map(p => toCanvas(p, w, h))));
+    ctx.globalAlpha = 1;
+    attempt.strokes.forEach(s => {
+      const done = s.pts.filter(p => p[2] <= clock), shown = done.map(p => toCanvas([p[0], p[1]], w, h));
+      ctx.strokeStyle = s.ok ? "#111" : "#dc2626";
+      if (shown.length > 1) drawInk(ctx, shown, inkWidths(shown, done.map(p => p[2]), [], w * 0.011));
+    });
+    ctx.restore();
+  }, [clock, attempt, reference, layer.layout]);
+
+  const current = ends.filter(e => e <= clock + 1e-6).length;
+  const step = (dir: 1 | -1) => {
+    setPlaying(false);
+    setClock(c => dir > 0 ? ends.find(e => e > c + 1e-6) ?? duration : [...ends].reverse().find(e => e < c - 1e-6) ?? 0);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="w-full max-w-[360px] mx-auto aspect-square rounded-2xl bg-white shadow-inner overflow-hidden">
+        <canvas ref={layer.ref} className="w-full h-full" />
+      </div>
+      <div className="flex items-center justify-center gap-2">
+        <Button size="icon" variant="ghost" onClick={() => step(-1)} disabled={clock <= 0} title="Previous stroke"><SkipBack className="size-4"/></Button>
+        <Button size="sm" className="gap-2 w-24" onClick={() => { if (clock >= duration) setClock(0); setPlaying(p => !p); }}>
+          {playing ? <><Pause className="size-4"/> Pause</> : <><Play className="size-4"/> Play</>}
+        </Button>
+        <Button size="icon" variant="ghost" onClick={() => step(1)} disabled={clock >= duration} title="Next stroke"><SkipForward className="size-4"/></Button>
+        <Select value={String(speed)} onValueChange={(v: any) => setSpeed(Number(v))}>
+          <SelectTrigger className="w-[80px] h-8 text-xs"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            {ANIM_SPEEDS.map(x => <SelectItem key={x} value={String(x)}>{x}×</SelectItem>)}
+          </SelectContent>
+        </Select>
+      </div>
+      <div className="text-center text-xs text-muted-foreground">Stroke {current} of {attempt.strokes.length} &middot; {(clock / 1000).toFixed(1)} / {(duration / 1000).toFixed(1)} s</div>
     </div>
   );
 }
@@ -294,43 +2237,257 @@ function StrokeCanvas({
 // Main App
 // ----------------------------
 export default function KatakanaTrainerApp() {
+  // restored once on mount
+  const [saved] = useState(() => ({ settings: loadSettings(), session: loadSession() }));
+  const restoring = useRef(saved.session);
+
   // settings
-  const [mode, setMode] = useState<"kana2roma"|"roma2kana"|"mixed">("kana2roma");
-  const [activeRows, setActiveRows] = useState<string[]>(ROWS.map(r => r.key));
-  const [shuffle, setShuffle] = useState(true);
-  const [sound, setSound] = useState(false);
+  const [mode, setMode] = useState<QuizMode>(saved.settings.mode);
+  const [choiceCount, setChoiceCount] = useState(saved.settings.choiceCount);
+  const [activeRows, setActiveRows] = useState<string[]>(saved.settings.activeRows);
+  const [shuffle, setShuffle] = useState(saved.settings.shuffle);
+  const [sound, setSound] = useState(saved.settings.sound);
+  const [useSrs, setUseSrs] = useState(saved.settings.useSrs);
+  const [romaSystem, setRomaSystem] = useState<RomaSystem>(saved.settings.romaSystem);
+  const [ime, setIme] = useState(saved.settings.ime);
+  const [hiraOverlay, setHiraOverlay] = useState(saved.settings.hiraOverlay); // hiragana twins on the Study chart
+  const [studyLayout, setStudyLayout] = useState<StudyLayout>(saved.settings.studyLayout);
+  const [studySearch, setStudySearch] = useState("");
+  const [studyRow, setStudyRow] = useState("all");
+  const [studyStatusFilter, setStudyStatusFilter] = useState<StudyStatus | "all">("all");
 
   // quiz state
-  const pool = useMemo(() => KATAKANA.filter(k => activeRows.includes(k.row)), [activeRows]);
+  const [focus, setFocus] = useState<string[] | null>(saved.session?.focus ?? null); // "quiz exactly these kana" (overrides the row filter)
+  const pool = useMemo(() => (focus ? KATAKANA.filter(k => focus.includes(k.kana)) : KATAKANA.filter(k => activeRows.includes(k.row)))
+    .filter(k => mode !== "listen" || audible(k)), [activeRows, focus, mode]);
+  const wordPool = useMemo(() => WORDS.filter(w => splitKana(w.kana)?.every(k => activeRows.includes(k.row))), [activeRows]);
   const [index, setIndex] = useState(0);
-  const [question, setQuestion] = useState<KATAKANA[number] | null>(null);
+  const [question, setQuestion] = useState<KanaEntry | null>(null);
+  const [word, setWord] = useState<WordEntry | null>(null);
   const [input, setInput] = useState("");
   const [revealed, setRevealed] = useState(false);
-  const [score, setScore] = useState(0);
-  const [streak, setStreak] = useState(0);
-  const [high, setHigh] = useState<number>(() => Number(localStorage.getItem(LS_KEYS.highScore) || 0));
-  const [total, setTotal] = useState(0);
+  const [hinted, setHinted] = useState(false);
+  const [missed, setMissed] = useState(false); // a wrong answer was already recorded for this question
+  const [struck, setStruck] = useState<string[]>([]); // multiple-choice options already ruled out
+  const [score, setScore] = useState(saved.session?.score ?? 0);
+  const [streak, setStreak] = useState(saved.session?.streak ?? 0);
+  const [high, setHigh] = useState<number>(() => loadJSON(LS_KEYS.highScore, 0, isCount));
+  const [total, setTotal] = useState(saved.session?.total ?? 0);
+  const [srs, setSrs] = useState<Record<string, SrsCard>>(() => loadJSON(LS_KEYS.srs, {}, isSrsStore));
+  const [stats, setStats] = useState<StatsStore>(() => loadJSON(LS_KEYS.stats, EMPTY_STATS, isStatsStore));
+  const shownAt = useRef(Date.now());
+  const [confusions, setConfusions] = useState<Record<string, number>>(() => loadJSON(LS_KEYS.confusions, {}, v => recordOf(v, isCount)));
+  const [drillGroup, setDrillGroup] = useState<LookalikeGroup | null>(null);
+  const [drawing, setDrawing] = useState<Pt[][]>([]); // write-from-memory strokes (glyph box units)
+  const [guesses, setGuesses] = useState<string[]>([]);
+  const [drawSignal, setDrawSignal] = useState(0); // clears the write canvas on every new question
 
   const [resetStrokeSignal, setResetStrokeSignal] = useState(0);
+  const [tracing, setTracing] = useState<TracingStore>(() => loadJSON(LS_KEYS.tracing, {}, isTracingStore));
+  const [lastTrace, setLastTrace] = useState<{ kana: string; grade: TracingGrade } | null>(null);
+  const [attempts, setAttempts] = useState<TraceAttempt[]>(() => loadJSON(LS_KEYS.attempts, [], v => Array.isArray(v) && v.every(isAttempt)));
+  const [replayId, setReplayId] = useState<string | null>(null);
+  const [allAttempts, setAllAttempts] = useState(false); // attempt list: every kana, or only the current one
+  const importRef = useRef<HTMLInputElement | null>(null);
+  const [tab, setTab] = useState("quiz");
 
-  // init question
-  useEffect(() => { nextQuestion(true); /* eslint-disable-next-line */ }, [mode, pool.length, shuffle]);
+  // timed games
+  const [practice, setPractice] = useState<"free" | "lesson" | GameKind>("free");
+  const gameKind = practice === "free" || practice === "lesson" ? null : practice;
+  const [run, setRun] = useState<GameRun | null>(null);
+  const [boards, setBoards] = useState<Leaderboards>(() => ({ ...EMPTY_BOARDS, ...loadJSON<Partial<Leaderboards>>(LS_KEYS.leaderboards, {}, isLeaderboards) }));
+  const [clock, setClock] = useState(Date.now());
+  const [mnemonics, setMnemonics] = useState<Record<string, string>>(() => loadJSON(LS_KEYS.mnemonics, {}, isMnemonicStore));
+  const mnemonicsRef = useRef<HTMLInputElement | null>(null);
+  const [detail, setDetail] = useState<string | null>(null);
+  const detailEntry = detail ? KATAKANA.find(k => k.kana === detail) : undefined;
+  const detailRef = useRef<HTMLDivElement | null>(null);
+  const playing = !!run && !run.over;
 
-  // save high score
-  useEffect(() => { localStorage.setItem(LS_KEYS.highScore, String(high)); }, [high]);
+  // lessons
+  const [lessonLength, setLessonLength] = useState<LessonLength>(20);
+  const [lesson, setLesson] = useState<Lesson | null>(null);
+  const inLesson = !!lesson && !lesson.finishedAt;
 
-  const nextQuestion = (init=false) => {
-    if (pool.length === 0) return;
-    const newIdx = shuffle ? rand(pool.length) : (index + 1) % pool.length;
-    setIndex(newIdx);
-    const q = pool[newIdx];
-    setQuestion(q);
+  // init question — the first run resumes the saved session's question if it's still in the pool
+  useEffect(() => {
+    const resume = restoring.current;
+    restoring.current = null;
+    const w = mode === "words" && resume?.word ? wordPool.find(x => x.kana === resume.word) : undefined;
+    const q = mode !== "words" && mode !== "confusables" && resume?.question ? pool.find(k => k.kana === resume.question) : undefined;
+    if (w) { setWord(w); setIndex(wordPool.indexOf(w)); return; }
+    if (q) { setQuestion(q); setIndex(pool.indexOf(q)); return; }
+    nextQuestion(true);
+    // eslint-disable-next-line
+  }, [mode, pool, wordPool.length, shuffle, useSrs]);
+
+  // persist settings + session
+  useEffect(() => {
+    saveJSON(LS_KEYS.settings, { mode, activeRows, shuffle, sound, useSrs, romaSystem, ime, choiceCount, hiraOverlay, studyLayout });
+  }, [mode, activeRows, shuffle, sound, useSrs, romaSystem, ime, choiceCount, hiraOverlay, studyLayout]);
+  useEffect(() => {
+    saveJSON(LS_KEYS.session, { score, streak, total, question: question?.kana ?? null, word: word?.kana ?? null, focus });
+  }, [score, streak, total, question, word, focus]);
+
+  // save high score + SRS cards
+  useEffect(() => { saveJSON(LS_KEYS.highScore, high); }, [high]);
+  useEffect(() => { saveJSON(LS_KEYS.srs, srs); }, [srs]);
+  useEffect(() => { saveJSON(LS_KEYS.confusions, confusions); }, [confusions]);
+  useEffect(() => { saveJSON(LS_KEYS.stats, stats); }, [stats]);
+  useEffect(() => { saveJSON(LS_KEYS.tracing, tracing); }, [tracing]);
+  useEffect(() => { saveJSON(LS_KEYS.attempts, attempts); }, [attempts]);
+  useEffect(() => { saveJSON(LS_KEYS.leaderboards, boards); }, [boards]);
+  useEffect(() => { saveJSON(LS_KEYS.mnemonics, mnemonics); }, [mnemonics]);
+
+  // curated look-alike groups plus pairs this learner keeps mixing up (not already covered by a curated group)
+  const drillGroups = useMemo(() => {
+    const personal: LookalikeGroup[] = Object.entries(confusions)
+      .filter(([pair, n]) => n >= PERSONAL_PAIR_MIN)
+      .map(([pair, n]) => ({ kana: pair.split("|"), tip: `You've mixed these up ${n}× — compare them closely.`, personal: true }))
+      .filter(g => !LOOKALIKES.some(c => g.kana.every(k => c.kana.includes(k))));
+    const all = [...personal, ...LOOKALIKES];
+    const inPool = all.filter(g => g.kana.some(k => pool.some(p => p.kana === k)));
+    return inPool.length ? inPool : all;
+  }, [confusions, pool]);
+
+  const resetAnswer = (init: boolean) => {
     setInput("");
     setRevealed(false);
+    setHinted(false);
+    setMissed(false);
+    setStruck([]);
+    setGuesses([]);
+    setDrawSignal(x => x + 1);
+    shownAt.current = Date.now();
     if (!init) setTotal(t => t + 1);
+  };
+
+  const nextWord = (init: boolean) => {
+    if (wordPool.length === 0) { setWord(null); return; }
+    const others = wordPool.length > 1 ? wordPool.filter(w => w !== word) : wordPool;
+    const w = shuffle ? others[rand(others.length)] : wordPool[(wordPool.indexOf(word!) + 1) % wordPool.length];
+    setIndex(wordPool.indexOf(w));
+    setWord(w);
+    resetAnswer(init);
+  };
+
+  // look-alike drill: personal pairs come up twice as often as curated ones
+  const nextDrill = (init: boolean) => {
+    const weighted = drillGroups.flatMap(g => g.personal ? [g, g] : [g]);
+    const g = weighted[rand(weighted.length)];
+    const members = KATAKANA.filter(k => g.kana.includes(k.kana) && k.kana !== question?.kana);
+    const q = members[rand(members.length)];
+    setDrillGroup(g);
+    setIndex(KATAKANA.indexOf(q));
+    setQuestion(q);
+    resetAnswer(init);
+    setResetStrokeSignal(x => x+1);
+  };
+
+  const showQuestion = (q: KanaEntry, init = false) => {
+    setIndex(pool.indexOf(q));
+    setQuestion(q);
+    resetAnswer(init);
     setResetStrokeSignal(x => x+1);
   };
 
+  const nextQuestion = (init=false) => {
+    if (mode === "words") return nextWord(init);
+    if (mode === "confusables") return nextDrill(init);
+    if (pool.length === 0) return;
+    // games draw at random (no SRS ordering), never the same kana twice in a row
+    if (playing) { const others = pool.length > 1 ? pool.filter(k => k !== question) : pool; return showQuestion(others[rand(others.length)], init); }
+    const newIdx = useSrs
+      ? pool.indexOf(pickScheduled(pool, srs, shuffle, question?.kana))
+      : shuffle ? rand(pool.length) : (index + 1) % pool.length;
+    showQuestion(pool[newIdx], init);
+  };
+
+  const startGame = (kind: GameKind) => {
+    if (pool.length === 0 || !GAME_MODES.includes(mode)) return;
+    const now = Date.now(), [first, ...queue] = shuffled(pool.map(k => k.kana));
+    setRun({
+      kind, startedAt: now, correct: 0, answered: 0, streak: 0, lives: SURVIVAL_LIVES,
+      deadline: kind === "survival" ? now + survivalSeconds(0) * 1000 : null,
+      queue: kind === "perfect" ? queue : [], over: false, ms: 0, rank: null,
+    });
+    setClock(now);
+    if (kind === "perfect") showQuestion(KATAKANA.find(k => k.kana === first)!);
+    else { const q = pool[rand(pool.length)]; showQuestion(q.kana === question?.kana && pool.length > 1 ? pool.find(k => k !== q)! : q); }
+  };
+
+  const finishGame = (r: GameRun) => {
+    const ms = Date.now() - r.startedAt;
+    const entry: LeaderEntry = { score: r.correct, answered: r.answered, ms: r.kind === "sprint" ? Math.min(ms, SPRINT_SECONDS * 1000) : ms, at: Date.now(), mode, pool: pool.length };
+    const board = [...boards[r.kind], entry].sort(rankingOf(r.kind));
+    const rank = board.indexOf(entry) + 1;
+    setBoards(prev => ({ ...prev, [r.kind]: board.slice(0, LEADERBOARD_SIZE) }));
+    setRun({ ...r, over: true, ms: entry.ms, rank: rank <= LEADERBOARD_SIZE ? rank : null });
+    if (rank === 1) toast.success(`New ${GAMES.find(g => g.key === r.kind)!.label} record!`, { description: `${r.correct} correct` });
+  };
+
+  // one answer (or timeout / skip) in a game: games always move on, right or wrong
+  const gameAnswered = (good: boolean) => {
+    if (!run || run.over) return;
+    const r: GameRun = {
+      ...run, answered: run.answered + 1, correct: run.correct + (good ? 1 : 0), streak: good ? run.streak + 1 : 0,
+      lives: run.kind === "survival" && !good ? run.lives - 1 : run.lives,
+    };
+    if ((r.kind === "survival" && r.lives <= 0) || (r.kind === "perfect" && r.queue.length === 0)) return finishGame(r);
+    if (r.kind === "survival") r.deadline = Date.now() + survivalSeconds(r.streak) * 1000;
+    if (r.kind === "perfect") {
+      const [k, ...rest] = r.queue;
+      setRun({ ...r, queue: rest });
+      showQuestion(KATAKANA.find(x => x.kana === k)!);
+    } else { setRun(r); nextQuestion(); }
+  };
+
+  // game clock: Sprint ends at 60 s, Survival loses a life when a question's time runs out (lessons just show it)
+  useEffect(() => {
+    if (!playing && !inLesson) return;
+    const id = setInterval(() => setClock(Date.now()), playing ? 100 : 1000);
+    return () => clearInterval(id);
+  }, [playing, inLesson]);
+  const onTick = useLatest(() => {
+    if (!run || run.over) return;
+    if (run.kind === "sprint" && clock >= run.startedAt + SPRINT_SECONDS * 1000) finishGame(run);
+    if (run.kind === "survival" && run.deadline && clock >= run.deadline) {
+      // a timeout is a wrong answer: it lapses the card and counts as a missed attempt
+      if (question) {
+        if (!missed) review(question.kana, 1);
+        setStats(prev => addStats(prev, question.kana, { attempts: 1, correct: 0, ms: Date.now() - shownAt.current }));
+      }
+      setStreak(0);
+      toast.error("Time’s up", { description: `${prompt.prompt} = ${prompt.answer}` });
+      gameAnswered(false);
+    }
+  });
+  useEffect(() => { onTick.current(); }, [clock, onTick]);
+
+  // switching mode or rows abandons a run or lesson (it wouldn't be comparable any more)
+  useEffect(() => { setRun(null); setLesson(null); }, [mode, pool]);
+
+  // retry: a lesson over exactly these kana
+  const startLesson = (retry?: string[]) => {
+    if (pool.length === 0 || !LESSON_MODES.includes(mode)) return;
+    const [first, ...queue] = retry ? shuffled(retry) : lessonQueue(pool, lessonLength);
+    const now = Date.now();
+    setLesson({ queue, results: [], size: queue.length + 1, startedAt: now, shownAt: now, finishedAt: null });
+    setClock(now);
+    showQuestion(KATAKANA.find(k => k.kana === first)!);
+  };
+
+  // the current item is done (answered correctly, or skipped): record it and move on
+  const lessonAnswered = (skipped = false) => {
+    if (!lesson || lesson.finishedAt || !question) return;
+    const now = Date.now();
+    const results = [...lesson.results, { kana: question.kana, ok: !skipped && !missed && !revealed && !hinted, skipped, ms: now - lesson.shownAt }];
+    const [k, ...rest] = lesson.queue;
+    if (!k) { setLesson({ ...lesson, results, finishedAt: now }); return; }
+    setLesson({ ...lesson, results, queue: rest, shownAt: now });
+    showQuestion(KATAKANA.find(x => x.kana === k)!);
+  };
+
   const speak = (text: string) => {
     try {
       if (!sound) return;
@@ -341,49 +2498,239 @@ export default function KatakanaTrainerApp() {
     } catch {}
   };
 
-  const prompt = useMemo(() => {
-    if (!question) return { prompt: "", answer: "" };
-    if (mode === "kana2roma") return { prompt: question.kana, answer: question.romaji };
-    if (mode === "roma2kana") return { prompt: question.romaji, answer: question.kana };
-    // mixed: flip a coin
+  const prompt = useMemo<Prompt>(() => {
+    if (mode === "words") {
+      const reading = word && readWord(word.kana, romaSystem);
+      if (!word || !reading) return { prompt: "", answer: "", kind: "romaji" };
+      // read the word, or write it from its reading
+      return Math.random() < 0.5
+        ? { prompt: word.kana, answer: reading.display, kind: "romaji" }
+        : { prompt: reading.display, answer: word.kana, kind: "kana" };
+    }
+    if (!question) return { prompt: "", answer: "", kind: "romaji" };
+    const roma = romanize(question, romaSystem);
+    const toRoma: Prompt = { prompt: question.kana, answer: roma, kind: "romaji" };
+    const toKana: Prompt = { prompt: roma, answer: question.kana, kind: "kana" };
+    if (mode === "kana2roma") return toRoma;
+    if (mode === "hira2kata") return { prompt: HIRAGANA[question.kana], answer: question.kana, kind: "kana" };
+    if (mode === "kata2hira") return { prompt: question.kana, answer: HIRAGANA[question.kana], kind: "hira" };
+    if (mode === "roma2kana" || mode === "confusables" || mode === "write") return toKana;
+    // mixed / multiple choice: flip a coin
     const flip = Math.random() < 0.5;
-    return flip ? { prompt: question.kana, answer: question.romaji } : { prompt: question.romaji, answer: question.kana };
-  }, [question, mode, index]);
+    return flip ? toRoma : toKana;
+  }, [question, word, mode, index, romaSystem]);
+
+  // announce each new question when Speak is on (turning Speak on doesn't replay the current one)
+  const announce = useLatest(() => { if (question && sound && mode !== "roma2kana" && mode !== "words" && mode !== "write" && mode !== "listen") playKana(question); });
+  useEffect(() => { announce.current(); }, [question, mode, announce]);
+  useEffect(() => { if (word && mode === "words") speak(word.kana); }, [word, mode]);
+
+  // listening: the prompt is only heard (always, whatever the Speak toggle says)
+  const [audioSource, setAudioSource] = useState<AudioSource | null>(null);
+  const [jaVoice, setJaVoice] = useState(hasJapaneseVoice);
+  useEffect(() => {
+    if (typeof speechSynthesis === "undefined") return;
+    const update = () => setJaVoice(hasJapaneseVoice());
+    speechSynthesis.addEventListener("voiceschanged", update);
+    return () => speechSynthesis.removeEventListener("voiceschanged", update);
+  }, []);
+  const hear = (slow = false) => { if (question) playKana(question, slow).then(setAudioSource); };
+  const hearRef = useLatest(hear);
+  useEffect(() => { if (question && mode === "listen") hearRef.current(); }, [question, mode, index, hearRef]);
+  // heard kana → pick it from katakana options; heard kana → type romaji uses the normal input
+  const listenPick = mode === "listen" && prompt.kind === "kana";
+  const picking = mode === "choice" || mode === "confusables" || listenPick;
+
+  // the built-in IME only converts when the expected answer is kana (its katakana output is folded to hiragana when asked)
+  const imeActive = ime && prompt.kind !== "romaji";
+  const imeConvert = (text: string, final = false) => {
+    const kana = romajiToKana(text, final, romaSystem);
+    return prompt.kind === "hira" ? toHiragana(kana) : kana;
+  };
+
+  const review = (kana: string, quality: number) => setSrs(prev => ({ ...prev, [kana]: srsReview(prev[kana], quality) }));
+
+  const options = useMemo(() => {
+    if (!question) return [];
+    if (mode === "choice" || listenPick) return choiceOptions(question, pool, prompt, romaSystem, choiceCount);
+    if (mode === "confusables" && drillGroup) return shuffled(drillGroup.kana);
+    return [];
+  }, [question, mode, listenPick, pool, prompt, romaSystem, choiceCount, drillGroup]);
 
-  useEffect(() => { if (question && mode !== "roma2kana") speak(question.kana); }, [question, mode]);
+  const check = () => submit(imeActive ? imeConvert(input, true) : input);
 
-  const check = () => {
+  const choose = (option: string) => {
+    if (struck.includes(option)) return;
+    if (!submit(option)) setStruck(prev => [...prev, option]);
+  };
+
+  // Hint: typed answers are filled in, multiple-choice / drills strike out distractors until two options are left,
+  // and write mode shows the next stroke on the canvas
+  const hint = () => {
+    if (!hinted && question && mode !== "words") setStats(prev => addStats(prev, question.kana, { hints: 1 }));
+    setHinted(true);
+    if (mode === "write") return; // the canvas shows the next stroke to write
+    if (!picking) { setInput(prompt.answer.toString()); return; }
+    const left = options.filter(o => o !== prompt.answer && !struck.includes(o));
+    setStruck(prev => [...prev, ...shuffled(left).slice(0, Math.max(0, left.length - 1))]);
+  };
+
+  // write from memory: the recognizer's best guess is the answer, so it scores like a typed one
+  const checkDrawing = () => {
     if (!question) return;
-    const good = input.trim().toLowerCase() === prompt.answer.toString().trim().toLowerCase();
+    const ranked = recognize(drawing);
+    if (ranked.length === 0) { toast.message("Draw the character first"); return; }
+    setGuesses(ranked.slice(0, 3).map(r => r.kana));
+    const best = ranked[0].kana;
+    submit(best, `Looks like ${best}, not ${question.kana}`);
+  };
+
+  const submit = (typed: string, wrongMessage?: string): boolean => {
+    if (mode === "words" ? !word : !question) return false;
+    const verdict = mode === "words" ? judgeWord(word!, prompt, typed, romaSystem) : judgeAnswer(question!, prompt, typed, romaSystem);
+    const good = verdict.good;
+    // one SRS review per question: the first wrong answer is the lapse, a later correct one doesn't undo it
+    if (mode !== "words" && question) {
+      if (good && !missed) review(question.kana, answerQuality(hinted, revealed));
+      if (!good && !missed) { review(question.kana, 1); setMissed(true); }
+      // response time = since the question appeared, or since the previous attempt at it
+      const now = Date.now();
+      setStats(prev => addStats(prev, question.kana, { attempts: 1, correct: good ? 1 : 0, ms: now - shownAt.current }));
+      shownAt.current = now;
+      const other = good ? undefined : confusedWith(question, prompt, typed, romaSystem);
+      if (other) setConfusions(prev => { const key = pairKey(question.kana, other.kana); return { ...prev, [key]: (prev[key] ?? 0) + 1 }; });
+    }
     if (good) {
-      setScore(s => s + (revealed ? 5 : 10));
+      const points = answerPoints(hinted, revealed);
+      setScore(s => s + points);
       setStreak(s => s + 1);
-      if (score + (revealed ? 5 : 10) > high) setHigh(score + (revealed ? 5 : 10));
-      toast.success("Correct!", { description: `${prompt.prompt} = ${prompt.answer}` });
-      nextQuestion();
+      if (score + points > high) setHigh(score + points);
+      if (verdict.notice) toast.info(verdict.notice, { description: `${prompt.prompt} = ${prompt.answer}` });
+      else toast.success("Correct!", { description: mode === "confusables" && drillGroup?.tip ? drillGroup.tip : `${prompt.prompt} = ${prompt.answer}` });
+      if (playing) gameAnswered(true); else if (inLesson) lessonAnswered(); else nextQuestion();
     } else {
       setStreak(0);
-      toast.error("Not quite.");
+      // in a game there is no second try, so show the answer straight away
+      const hook = mode !== "words" && question ? mnemonics[question.kana] ?? builtinMnemonic(question) : undefined;
+      toast.error(wrongMessage ?? verdict.notice ?? "Not quite.", playing ? { description: `${prompt.prompt} = ${prompt.answer}${hook ? ` · ${hook}` : ""}` } : hook ? { description: hook } : undefined);
+      if (playing) gameAnswered(false);
+    }
+    return good;
+  };
+
+  // number keys pick a multiple-choice option
+  const chooseRef = useLatest(choose);
+  useEffect(() => {
+    if (!picking || tab !== "quiz") return;
+    const onKey = (e: KeyboardEvent) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || (e.target as HTMLElement)?.tagName === "INPUT") return;
+      const n = Number(e.key);
+      if (n >= 1 && n <= options.length) { e.preventDefault(); chooseRef.current(options[n - 1]); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [picking, tab, options, chooseRef]);
+
+  const reveal = () => {
+    if (!revealed && question && mode !== "words") setStats(prev => addStats(prev, question.kana, { reveals: 1 }));
+    setRevealed(true);
+  };
+
+  const weakest = useMemo(() => Object.entries(stats.kana)
+    .filter(([, s]) => s.attempts + s.reveals + s.hints > 0)
+    .sort((a, b) => weaknessOf(b[1]) - weaknessOf(a[1]))
+    .slice(0, 10)
+    .map(([kana, s]) => ({ entry: KATAKANA.find(k => k.kana === kana)!, s }))
+    .filter(w => w.entry), [stats]);
+
+  const studyStatuses = useMemo(() => Object.fromEntries(KATAKANA.map(k => [k.kana, studyStatus(stats.kana[k.kana], srs[k.kana])])), [stats, srs]);
+  const studyVisible = useMemo(() => KATAKANA.filter(k => matchesSearch(k, studySearch)
+    && (studyRow === "all" || k.row === studyRow)
+    && (studyStatusFilter === "all" || studyStatuses[k.kana] === studyStatusFilter)), [studySearch, studyRow, studyStatusFilter, studyStatuses]);
+  const studyFiltered = studyVisible.length < KATAKANA.length;
+
+  const startFocusedQuiz = (kanas: string[]) => {
+    if (kanas.length === 0) return;
+    setFocus(kanas);
+    if (mode === "words") setMode("kana2roma");
+    setTab("quiz");
+    toast.message(`Focused quiz: ${kanas.length} kana`);
+  };
+
+  const traced = (grade: TracingGrade) => {
+    if (!question) return;
+    const best = tracing[question.kana]?.best;
+    setTracing(prev => addTracing(prev, question.kana, grade.grade));
+    setLastTrace({ kana: question.kana, grade });
+    toast.success(`Traced ${question.kana}: ${grade.grade} / 100`, { description: best === undefined ? "First finished trace." : grade.grade > best ? `New best (was ${best}).` : `Best so far: ${best}.` });
+  };
+
+  const recordAttempt = (a: TraceAttempt) => setAttempts(prev => [...prev, a].slice(-ATTEMPTS_KEEP));
+
+  const importAttempts = async (file: File) => {
+    try {
+      const incoming = parseAttempts(await file.text());
+      setAttempts(prev => {
+        const fresh = incoming.filter(a => !prev.some(p => p.id === a.id));
+        toast.success(`Imported ${fresh.length} ${fresh.length === 1 ? "attempt" : "attempts"}`, { description: fresh.length < incoming.length ? `${incoming.length - fresh.length} already here.` : file.name });
+        return [...prev, ...fresh].sort((a, b) => a.at - b.at).slice(-ATTEMPTS_KEEP);
+      });
+      setAllAttempts(true);
+      setReplayId(incoming[incoming.length - 1].id);
+    } catch (e: any) {
+      toast.error("Couldn’t import that file", { description: e?.message ?? String(e) });
+    }
+  };
+
+  // Study tab: a tile becomes the active character (so Trace / Hear act on it) and opens its detail panel
+  const openDetail = (k: KanaEntry) => {
+    setQuestion(k); setRevealed(false); setInput(""); setResetStrokeSignal(x=>x+1);
+    setDetail(k.kana);
+    requestAnimationFrame(() => detailRef.current?.scrollIntoView({ block: "nearest", behavior: "smooth" }));
+  };
+
+  const saveMnemonic = (kana: string, text: string | null) => setMnemonics(prev => {
+    const { [kana]: _, ...rest } = prev;
+    return text ? { ...rest, [kana]: text } : rest;
+  });
+
+  const importMnemonics = async (file: File) => {
+    try {
+      const incoming = parseMnemonics(await file.text());
+      setMnemonics(prev => ({ ...prev, ...incoming }));
+      toast.success(`Imported ${Object.keys(incoming).length} mnemonics`, { description: file.name });
+    } catch (e: any) {
+      toast.error("Couldn’t import that file", { description: e?.message ?? String(e) });
     }
   };
 
-  const reveal = () => { setRevealed(true); };
+  const resetAllData = () => {
+    if (!window.confirm("Delete all saved settings, scores, SRS cards and statistics on this device?")) return;
+    clearAllStorage();
+    window.location.reload();
+  };
 
   const toggleRow = (key: string) => {
     setActiveRows(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
   };
+  const toggleGroup = (group: string) => {
+    const keys = ROWS_ALL.filter(r => r.group === group).map(r => r.key);
+    const allOn = keys.every(k => activeRows.includes(k));
+    setActiveRows(prev => allOn ? prev.filter(k => !keys.includes(k)) : [...prev, ...keys.filter(k => !prev.includes(k))]);
+  };
 
-  const progress = total > 0 ? Math.min(100, Math.round((score / (total * 10)) * 100)) : 0;
+  const srsCounts = useMemo(() => {
+    const endOfDay = new Date(); endOfDay.setHours(23, 59, 59, 999);
+    let due = 0, learned = 0, fresh = 0;
+    pool.forEach(k => {
+      const c = srs[k.kana];
+      if (!c) fresh++;
+      else { if (c.due <= endOfDay.getTime()) due++; if (c.reps > 0) learned++; }
+    });
+    return { due, learned, fresh };
+  }, [pool, srs]);
 
-  const guideLink = useMemo(() => {
-    if (!question) return "";
-    // Two good sources: japanese-lesson.com (row pages) and MaikoJapan (per-character table)
-    // We'll prefer MaikoJapan list for a simple anchor-free page.
-    // Fallback to a search query link if needed.
-    // NOTE: We simply provide an external reference — animations are copyright of their owners.
-    const base = "https://maikojapan.com/list-of-katakana-with-stroke-order-animations/";
-    return base; // opens page; user can scroll to the character
-  }, [question]);
+  const progress = total > 0 ? Math.min(100, Math.round((score / (total * 10)) * 100)) : 0;
 
   return (
     <div className="min-h-screen w-full bg-gradient-to-b from-slate-50 to-white text-slate-900">
@@ -400,14 +2747,18 @@ export default function KatakanaTrainerApp() {
             <Badge variant="secondary" className="text-xs">Score: {score}</Badge>
             <Badge variant="outline" className="text-xs">Streak: {streak}</Badge>
             <Badge variant="default" className="text-xs">High: {high}</Badge>
+            <Badge variant="outline" className="text-xs" title="Cards due by the end of today">Due today: {srsCounts.due}</Badge>
+            <Badge variant="outline" className="text-xs" title="Cards with at least one successful review">Learned: {srsCounts.learned}</Badge>
+            <Badge variant="outline" className="text-xs" title="Cards never reviewed">New: {srsCounts.fresh}</Badge>
           </div>
         </div>
 
-        <Tabs defaultValue="quiz" className="w-full">
-          <TabsList className="grid grid-cols-3 w-full sm:w-auto">
+        <Tabs value={tab} onValueChange={setTab} className="w-full">
+          <TabsList className="grid grid-cols-4 w-full sm:w-auto">
             <TabsTrigger value="quiz" className="gap-2"><Swords className="size-4"/> Quiz</TabsTrigger>
             <TabsTrigger value="stroke" className="gap-2"><PenTool className="size-4"/> Stroke Practice</TabsTrigger>
             <TabsTrigger value="study" className="gap-2"><BookOpen className="size-4"/> Study</TabsTrigger>
+            <TabsTrigger value="stats" className="gap-2"><BarChart3 className="size-4"/> Stats</TabsTrigger>
           </TabsList>
 
           {/* QUIZ TAB */}
@@ -419,23 +2770,184 @@ export default function KatakanaTrainerApp() {
                   <CardDescription>Answer the prompt. Use Reveal if stuck (less points).</CardDescription>
                 </CardHeader>
                 <CardContent className="space-y-4">
-                  <div className="flex items-center gap-2">
+                  {focus && (
+                    <div className="flex items-center justify-between rounded-xl border border-amber-300 bg-amber-50 px-3 py-2 text-sm">
+                      <span>Focused on {focus.length} kana: <span className="tracking-wider">{focus.join(" ")}</span></span>
+                      <Button size="sm" variant="ghost" onClick={() => setFocus(null)}>Back to rows</Button>
+                    </div>
+                  )}
+                  <div className="flex flex-wrap items-center gap-2">
                     <Select value={mode} onValueChange={(v: any) => setMode(v)}>
                       <SelectTrigger className="w-[210px]"><SelectValue /></SelectTrigger>
                       <SelectContent>
-                        <SelectItem value="kana2roma">Kana → Romaji</SelectItem>
-                        <SelectItem value="roma2kana">Romaji → Kana</SelectItem>
-                        <SelectItem value="mixed">Mixed</SelectItem>
+                        {QUIZ_MODES.map(m => <SelectItem key={m} value={m}>{MODE_LABELS[m]}</SelectItem>)}
+                      </SelectContent>
+                    </Select>
+                    <Select value={practice} onValueChange={(v: any) => { setRun(null); setLesson(null); setPractice(v); }}>
+                      <SelectTrigger className="w-[150px]"><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="free">Free practice</SelectItem>
+                        <SelectItem value="lesson">Lesson</SelectItem>
+                        {GAMES.map(g => <SelectItem key={g.key} value={g.key}>{g.label}</SelectItem>)}
                       </SelectContent>
                     </Select>
+                    {(mode === "choice" || mode === "listen") && (
+                      <Select value={String(choiceCount)} onValueChange={(v: any) => setChoiceCount(Number(v))}>
+                        <SelectTrigger className="w-[120px]"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {[4, 5, 6].map(n => <SelectItem key={n} value={String(n)}>{n} options</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    )}
                     <div className="flex items-center gap-2 ml-auto">
+                      <Switch id="ime" checked={ime} onCheckedChange={setIme} />
+                      <Label htmlFor="ime" className="text-xs text-muted-foreground flex items-center gap-1" title="Type romaji, get katakana (kk → ッカ, nn → ン, kya → キャ)"><Keyboard className="size-4"/> Kana IME</Label>
                       <Switch id="sound" checked={sound} onCheckedChange={setSound} />
                       <Label htmlFor="sound" className="text-xs text-muted-foreground flex items-center gap-1"><Volume2 className="size-4"/> Speak kana</Label>
                     </div>
                   </div>
 
+                  {gameKind && (() => {
+                    const game = GAMES.find(g => g.key === gameKind)!;
+                    const board = [...boards[gameKind]].sort(rankingOf(gameKind)); // older Perfect boards were stored in count order
+                    if (playing && run) {
+                      const left = run.kind === "sprint" ? Math.max(0, run.startedAt + SPRINT_SECONDS * 1000 - clock) : run.deadline ? Math.max(0, run.deadline - clock) : 0;
+                      return (
+                        <div className="rounded-xl border px-4 py-3 space-y-2">
+                          <div className="flex items-center gap-3 text-sm">
+                            <span className="font-medium">{game.label}</span>
+                            {run.kind === "survival" && <span className="flex gap-0.5" title="Lives">{Array.from({ length: SURVIVAL_LIVES }, (_, i) => <Heart key={i} className={`size-4 ${i < run.lives ? "fill-red-500 text-red-500" : "text-slate-300"}`}/>)}</span>}
+                            <span className="text-muted-foreground">{run.correct} correct{run.kind === "perfect" ? ` · ${run.answered} / ${pool.length}` : ` of ${run.answered}`}</span>
+                            <span className="ml-auto flex items-center gap-1 tabular-nums"><Timer className="size-4"/>{run.kind === "perfect" ? ((clock - run.startedAt) / 1000).toFixed(0) : (left / 1000).toFixed(1)} s</span>
+                            <Button size="sm" variant="ghost" onClick={() => setRun(null)}>Quit</Button>
+                          </div>
+                          {run.kind === "sprint" && <Progress value={(left / (SPRINT_SECONDS * 1000)) * 100} />}
+                          {run.kind === "survival" && <Progress value={(left / (survivalSeconds(run.streak) * 1000)) * 100} />}
+                          {run.kind === "perfect" && <Progress value={(run.answered / pool.length) * 100} />}
+                        </div>
+                      );
+                    }
+                    return (
+                      <div className="rounded-xl border px-4 py-3 space-y-3">
+                        {run?.over ? (
+                          <div className="space-y-1">
+                            <div className="text-lg font-semibold flex items-center gap-2"><Trophy className="size-5 text-amber-500"/>{game.label}: {run.correct} correct</div>
+                            <div className="text-sm text-muted-foreground">
+                              {run.answered} answered &middot; {run.answered ? Math.round((run.correct / run.answered) * 100) : 0}% accuracy &middot; {(run.ms / 1000).toFixed(1)} s
+                              {run.rank ? <> &middot; <span className="text-slate-900">#{run.rank} on the board</span></> : " · didn’t make the top 10"}
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="text-sm text-muted-foreground">{game.blurb}</div>
+                        )}
+                        {board.length > 0 && (
+                          <ol className="text-xs space-y-0.5">
+                            {board.slice(0, 5).map((e, i) => (
+                              <li key={e.at} className={`flex gap-3 ${run?.over && run.rank === i + 1 ? "font-semibold text-slate-900" : "text-muted-foreground"}`}>
+                                <span className="w-5">#{i + 1}</span><span className="w-20">{gameKind === "perfect" ? `${e.score} / ${e.answered}` : `${e.score} correct`}</span><span className="w-16">{(e.ms / 1000).toFixed(1)} s</span><span>{new Date(e.at).toLocaleDateString()}</span>
+                              </li>
+                            ))}
+                          </ol>
+                        )}
+                        <div className="flex items-center gap-2">
+                          <Button size="sm" className="gap-2" disabled={pool.length === 0 || !GAME_MODES.includes(mode)} onClick={() => startGame(gameKind)}><Play className="size-4"/>{run?.over ? "Play again" : "Start"}</Button>
+                          {!GAME_MODES.includes(mode) && <span className="text-xs text-muted-foreground">{GAME_MODES_TEXT}</span>}
+                        </div>
+                      </div>
+                    );
+                  })()}
+
+                  {practice === "lesson" && (() => {
+                    if (inLesson && lesson) {
+                      const done = lesson.results.length, wrong = lesson.results.filter(r => !r.ok).length;
+                      return (
+                        <div className="rounded-xl border px-4 py-3 space-y-2">
+                          <div className="flex items-center gap-3 text-sm">
+                            <span className="font-medium">Lesson</span>
+                            <span className="text-muted-foreground">{done + 1} of {lesson.size}{wrong > 0 && ` · ${wrong} missed`}</span>
+                            <span className="ml-auto flex items-center gap-1 tabular-nums text-muted-foreground"><Timer className="size-4"/>{formatDuration(clock - lesson.startedAt)}</span>
+                            <Button size="sm" variant="ghost" onClick={() => setLesson(null)}>Quit</Button>
+                          </div>
+                          <Progress value={(done / lesson.size) * 100} />
+                        </div>
+                      );
+                    }
+                    if (lesson?.finishedAt) {
+                      const sum = lessonSummary(lesson.results), took = lesson.finishedAt - lesson.startedAt;
+                      return (
+                        <div className="rounded-xl border px-4 py-3 space-y-4">
+                          <div>
+                            <div className="text-lg font-semibold">{sum.right} / {lesson.results.length} right first time ({Math.round((sum.right / Math.max(1, lesson.results.length)) * 100)}%)</div>
+                            <div className="text-sm text-muted-foreground">Took {formatDuration(took)} &middot; {(took / Math.max(1, lesson.results.length) / 1000).toFixed(1)} s per item</div>
+                          </div>
+                          {sum.missed.length > 0 ? (
+                            <div className="space-y-1">
+                              <div className="text-xs uppercase tracking-wide text-muted-foreground">Missed</div>
+                              <div className="flex flex-wrap gap-2">
+                                {sum.missed.map(k => { const e = KATAKANA.find(x => x.kana === k)!; return (
+                                  <div key={k} className="rounded-lg border px-2 py-1 text-center">
+                                    <div className="text-2xl" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{k}</div>
+                                    <div className="text-xs text-muted-foreground">{romanize(e, romaSystem)}</div>
+                                  </div>
+                                ); })}
+                              </div>
+                            </div>
+                          ) : <div className="text-sm">Nothing missed — clean lesson!</div>}
+                          <div className="space-y-1">
+                            <div className="text-xs uppercase tracking-wide text-muted-foreground">By row</div>
+                            {sum.byRow.map(r => (
+                              <div key={r.key} className="flex items-center gap-2 text-xs">
+                                <span className="w-28 truncate">{r.label}</span>
+                                <div className="h-1.5 flex-1 rounded bg-slate-100 overflow-hidden"><div className="h-full bg-emerald-500" style={{ width: `${(r.right / r.total) * 100}%` }}/></div>
+                                <span className="w-10 text-right tabular-nums text-muted-foreground">{r.right}/{r.total}</span>
+                              </div>
+                            ))}
+                          </div>
+                          <div className="flex flex-wrap items-center gap-2">
+                            <Button size="sm" className="gap-2" disabled={sum.missed.length === 0} onClick={() => startLesson(sum.missed)}><RotateCw className="size-4"/>Retry missed ({sum.missed.length})</Button>
+                            <Button size="sm" variant="outline" className="gap-2" onClick={() => startLesson()}><Play className="size-4"/>New lesson</Button>
+                            <Button size="sm" variant="ghost" onClick={() => setLesson(null)}>Done</Button>
+                          </div>
+                        </div>
+                      );
+                    }
+                    return (
+                      <div className="rounded-xl border px-4 py-3 space-y-3">
+                        <div className="text-sm text-muted-foreground">A fixed set of questions from your active rows, then a summary of what you missed. Reveal and Hint still work — they just don’t count as right first time.</div>
+                        <div className="flex flex-wrap items-center gap-2">
+                          <Select value={String(lessonLength)} onValueChange={(v: any) => setLessonLength(v === "all" ? "all" : Number(v))}>
+                            <SelectTrigger className="w-[190px]"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                              {LESSON_LENGTHS.map(n => <SelectItem key={n} value={String(n)}>{n === "all" ? `Each active kana once (${pool.length})` : `${n} questions`}</SelectItem>)}
+                            </SelectContent>
+                          </Select>
+                          <Button size="sm" className="gap-2" disabled={pool.length === 0 || !LESSON_MODES.includes(mode)} onClick={() => startLesson()}><Play className="size-4"/>Start lesson</Button>
+                          {!LESSON_MODES.includes(mode) && <span className="text-xs text-muted-foreground">Lessons work in the kana modes (not Words or the look-alike drill).</span>}
+                        </div>
+                      </div>
+                    );
+                  })()}
+
+                  {!run?.over && !lesson?.finishedAt && (
                   <div className="rounded-2xl border bg-white/70 p-6 flex flex-col items-center justify-center text-center gap-3">
                     <div className="text-xs uppercase tracking-wide text-muted-foreground">Prompt</div>
+                    {mode === "listen" ? (
+                      <div className="flex flex-col items-center gap-2">
+                        <div className="flex items-center gap-2">
+                          <Button size="lg" className="gap-2" onClick={() => hear()}><Volume2 className="size-5"/>Play again</Button>
+                          <Button size="lg" variant="outline" onClick={() => hear(true)}>Slow</Button>
+                        </div>
+                        <div className="text-sm text-muted-foreground">{listenPick ? "Pick the katakana you hear." : "Type what you hear in romaji."}</div>
+                        {audioSource === "tts" && <div className="text-xs text-muted-foreground">No recorded clip for this one — using your browser’s Japanese voice.</div>}
+                        {!jaVoice && audioSource === null && <div className="text-xs text-muted-foreground">No Japanese system voice detected — only recorded clips in public/audio/kana can play.</div>}
+                        {audioSource === "none" && (
+                          <div className="rounded-xl border border-amber-300 bg-amber-50 px-3 py-2 text-xs text-left max-w-md">
+                            No Japanese audio is available here: there’s no recorded clip (public/audio/kana/{question?.romaji}.mp3) and no ja-JP voice is installed.
+                            What you hear may be wrong or silent — install a Japanese voice in your system’s speech settings, or use another mode.
+                          </div>
+                        )}
+                      </div>
+                    ) : (
                     <AnimatePresence mode="wait">
                       <motion.div
                         key={`${prompt.prompt}-${index}`}
@@ -443,34 +2955,85 @@ export default function KatakanaTrainerApp() {
                         animate={{ y: 0, opacity: 1 }}
                         exit={{ y: -10, opacity: 0 }}
                         transition={{ type: "spring", stiffness: 280, damping: 22 }}
-                        className="font-medium text-6xl sm:text-7xl"
+                        className={`font-medium ${prompt.prompt.length > 3 ? 'text-4xl sm:text-5xl' : 'text-6xl sm:text-7xl'}`}
                         style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}
                       >
                         {prompt.prompt}
                       </motion.div>
                     </AnimatePresence>
+                    )}
+                    {mode === "words" && word && <div className="text-sm text-muted-foreground">“{word.gloss}”</div>}
+                    {mode === "words" && (
+                      <div className="text-xs text-muted-foreground">
+                        {wordPool.length > 0
+                          ? `${wordPool.length} of ${WORDS.length} words use only your active rows`
+                          : "No words fit the active rows yet — try adding dakuten, yōon or the ッ/ー marks."}
+                      </div>
+                    )}
 
+                    {mode === "write" ? (
+                      <div className="w-full max-w-sm space-y-2">
+                        <StrokeCanvas variant="free" kana={question?.kana ?? 'ア'} onStrokes={setDrawing} resetSignal={drawSignal} hint={hinted} />
+                        <div className="flex items-center justify-between gap-2">
+                          <div className="text-xs text-muted-foreground">{guesses.length > 0 && <>Closest matches: <span className="text-base tracking-widest text-slate-900">{guesses.join(" ")}</span></>}</div>
+                          <Button onClick={checkDrawing} disabled={drawing.length === 0} className="gap-2"><Check className="size-4"/>Check drawing</Button>
+                        </div>
+                      </div>
+                    ) : mode === "confusables" && drillGroup ? (
+                      <div className="w-full space-y-3">
+                        <div className="text-sm text-muted-foreground">Which one is <span className="font-semibold text-slate-900">“{prompt.prompt}”</span>?{drillGroup.personal && <Badge variant="outline" className="ml-2 text-xs">from your mistakes</Badge>}</div>
+                        <div className="flex flex-wrap justify-center gap-3">
+                          {options.map((o, i) => (
+                            <LookalikeTile key={o} kana={o} focus={drillGroup.focus?.[o]} shortcut={i + 1} disabled={struck.includes(o)} onPick={() => choose(o)} />
+                          ))}
+                        </div>
+                        {(struck.length > 0 || revealed) && drillGroup.tip && <div className="text-xs text-muted-foreground max-w-md mx-auto">{drillGroup.tip}</div>}
+                      </div>
+                    ) : mode === "choice" || listenPick ? (
+                      <div className="w-full max-w-md grid grid-cols-2 sm:grid-cols-3 gap-2">
+                        {options.map((o, i) => (
+                          <Button
+                            key={o}
+                            variant="outline"
+                            disabled={struck.includes(o)}
+                            onClick={() => choose(o)}
+                            className={`h-14 justify-start gap-3 text-xl ${struck.includes(o) ? 'opacity-40 line-through' : ''}`}
+                          >
+                            <span className="text-xs text-muted-foreground font-mono">{i + 1}</span>
+                            <span style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{o}</span>
+                          </Button>
+                        ))}
+                      </div>
+                    ) : (
                     <div className="w-full max-w-sm flex items-center gap-2">
                       <Input
-                        placeholder="type your answer…"
+                        placeholder={imeActive ? (prompt.kind === "hira" ? "type romaji → ひらがな…" : "type romaji → カタカナ…") : "type your answer…"}
                         value={input}
-                        onChange={e => setInput(e.target.value)}
+                        onChange={e => setInput(imeActive ? imeConvert(e.target.value) : e.target.value)}
                         onKeyDown={e => { if (e.key === 'Enter') check(); }}
                         className="text-lg"
                       />
                       <Button onClick={check} className="gap-2"><Check className="size-4"/>Check</Button>
                     </div>
+                    )}
 
                     <div className="flex items-center gap-2">
-                      <Button variant="secondary" onClick={reveal} className="gap-2"><Eye className="size-4"/>Reveal</Button>
-                      <Button variant="ghost" onClick={() => setInput(prompt.answer.toString())} className="gap-2"><Lightbulb className="size-4"/>Hint</Button>
-                      <Button variant="outline" onClick={() => nextQuestion()} className="gap-2"><RotateCw className="size-4"/>Skip</Button>
+                      {!playing && <Button variant="secondary" onClick={reveal} className="gap-2"><Eye className="size-4"/>Reveal</Button>}
+                      {!playing && <Button variant="ghost" onClick={hint} className="gap-2"><Lightbulb className="size-4"/>Hint</Button>}
+                      <Button variant="outline" onClick={() => playing ? gameAnswered(false) : inLesson ? lessonAnswered(true) : nextQuestion()} className="gap-2"><RotateCw className="size-4"/>Skip</Button>
                     </div>
 
                     {revealed && (
                       <div className="text-sm text-muted-foreground">Answer: <span className="font-semibold text-slate-900">{prompt.answer}</span> <span className="ml-2 text-xs">(+5 if correct now)</span></div>
                     )}
+                    {revealed && question?.note && (
+                      <div className="text-xs text-muted-foreground">{question.kana}: {question.note}</div>
+                    )}
+                    {(revealed || (missed && !playing)) && mode !== "words" && question && (
+                      <MnemonicNote entry={question} own={mnemonics[question.kana]} onSave={t => saveMnemonic(question.kana, t)} />
+                    )}
                   </div>
+                  )}
 
                   <div className="space-y-2">
                     <div className="flex items-center justify-between text-xs text-muted-foreground">
@@ -492,23 +3055,49 @@ export default function KatakanaTrainerApp() {
                   <CardDescription>Select which rows to include in the pool.</CardDescription>
                 </CardHeader>
                 <CardContent>
-                  <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
-                    {ROWS.map(r => (
-                      <button
-                        key={r.key}
-                        onClick={() => toggleRow(r.key)}
-                        className={`rounded-xl border px-3 py-2 text-left text-sm transition ${activeRows.includes(r.key) ? 'bg-slate-900 text-white' : 'bg-white hover:bg-slate-50'}`}
-                      >
-                        <div className="font-medium">{r.label}</div>
-                        <div className="text-xs opacity-70">{KATAKANA.filter(k=>k.row===r.key).map(k=>k.kana).join(' ')}</div>
-                      </button>
+                  <div className="space-y-4">
+                    {ROW_GROUPS.map(g => (
+                      <div key={g.key} className="space-y-2">
+                        <div className="flex items-center justify-between">
+                          <div className="text-xs uppercase tracking-wide text-muted-foreground">{g.label}</div>
+                          <Button size="sm" variant="ghost" className="h-6 px-2 text-xs" onClick={() => toggleGroup(g.key)}>Toggle all</Button>
+                        </div>
+                        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                          {ROWS_ALL.filter(r => r.group === g.key).map(r => (
+                            <button
+                              key={r.key}
+                              onClick={() => toggleRow(r.key)}
+                              className={`rounded-xl border px-3 py-2 text-left text-sm transition ${activeRows.includes(r.key) ? 'bg-slate-900 text-white' : 'bg-white hover:bg-slate-50'}`}
+                            >
+                              <div className="font-medium">{r.label}</div>
+                              <div className="text-xs opacity-70">{KATAKANA.filter(k=>k.row===r.key).map(k=>k.kana).join(' ')}</div>
+                            </button>
+                          ))}
+                        </div>
+                      </div>
                     ))}
                   </div>
                   <div className="flex items-center gap-3 mt-4">
                     <Switch id="shuffle" checked={shuffle} onCheckedChange={setShuffle} />
                     <Label htmlFor="shuffle" className="text-xs text-muted-foreground flex items-center gap-1"><ArrowRightLeft className="size-4"/> Shuffle questions</Label>
                   </div>
+                  <div className="flex items-center gap-3 mt-3">
+                    <Label className="text-xs text-muted-foreground">Romanization</Label>
+                    <Select value={romaSystem} onValueChange={(v: any) => setRomaSystem(v)}>
+                      <SelectTrigger className="w-[160px] h-8 text-xs"><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        {ROMA_SYSTEMS.map(r => <SelectItem key={r.key} value={r.key}>{r.label}</SelectItem>)}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="flex items-center gap-3 mt-3">
+                    <Switch id="srs" checked={useSrs} onCheckedChange={setUseSrs} />
+                    <Label htmlFor="srs" className="text-xs text-muted-foreground flex items-center gap-1"><CalendarClock className="size-4"/> Spaced repetition (due &amp; struggling first)</Label>
+                  </div>
                 </CardContent>
+                <CardFooter className="justify-end">
+                  <Button variant="ghost" size="sm" className="gap-2 text-red-600 hover:text-red-700" onClick={resetAllData}><Trash2 className="size-4"/> Reset all local data</Button>
+                </CardFooter>
               </Card>
             </div>
           </TabsContent>
@@ -519,19 +3108,49 @@ export default function KatakanaTrainerApp() {
               <Card className="rounded-2xl shadow-sm">
                 <CardHeader className="pb-2">
                   <CardTitle className="text-lg flex items-center gap-2"><PenTool className="size-4"/> Trace & Validate</CardTitle>
-                  <CardDescription>Practice the current character’s stroke *directions*. Use the guide link for exact animated order.</CardDescription>
+                  <CardDescription>Practice the current character’s strokes in order — each one is checked for where it starts, where it ends and its shape.</CardDescription>
                 </CardHeader>
                 <CardContent className="space-y-4">
                   <div className="flex items-center justify-between">
                     <div className="text-sm">Character: <span className="text-3xl ml-2" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{question?.kana ?? '—'}</span></div>
-                    <div className="text-sm text-muted-foreground">Expected strokes: {question?.directions.length ?? 0}</div>
+                    <div className="text-sm text-muted-foreground">Strokes: {question ? strokesFor(question.kana).length : 0}</div>
                   </div>
                   <StrokeCanvas
                     kana={question?.kana ?? 'ア'}
-                    expected={question?.directions ?? ["DD","V"]}
-                    onMatch={(ok) => { /* Could track separate tracing score if desired */ }}
+                    onComplete={traced}
+                    onAttempt={recordAttempt}
                     resetSignal={resetStrokeSignal}
                   />
+                  {question && (() => {
+                    const rec = tracing[question.kana];
+                    const last = lastTrace?.kana === question.kana ? lastTrace.grade : null;
+                    return (
+                      <div className="rounded-xl border p-3 space-y-2">
+                        <div className="flex items-center justify-between text-sm">
+                          <span className="font-medium">Tracing score</span>
+                          <span className="text-xs text-muted-foreground">{rec ? <>Best {rec.best} &middot; {rec.attempts} {rec.attempts === 1 ? "attempt" : "attempts"}</> : "No finished traces yet"}</span>
+                        </div>
+                        {rec && rec.history.length > 1 && (
+                          <div className="flex items-end gap-0.5 h-8" title="Recent grades">
+                            {rec.history.map((h, i) => <div key={i} className="flex-1 rounded-sm bg-slate-300" style={{ height: `${Math.max(4, h.grade)}%` }} title={`${h.grade} · ${new Date(h.at).toLocaleDateString()}`}/>)}
+                          </div>
+                        )}
+                        {last && (
+                          <div className="space-y-1">
+                            <div className="text-2xl font-semibold">{last.grade}<span className="text-sm text-muted-foreground font-normal"> / 100</span></div>
+                            {last.strokes.map((st, i) => (
+                              <div key={i} className="flex items-center gap-2 text-xs">
+                                <span className="w-14 text-muted-foreground">Stroke {i + 1}</span>
+                                <div className="h-1.5 flex-1 rounded bg-slate-100 overflow-hidden"><div className={`h-full ${st.score >= 80 ? "bg-emerald-500" : st.score >= 50 ? "bg-amber-500" : "bg-red-500"}`} style={{ width: `${st.score}%` }}/></div>
+                                <span className="w-8 text-right tabular-nums">{st.score}</span>
+                                <span className="w-32 truncate text-muted-foreground">{strokeGradeNote(st)}</span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })()}
                 </CardContent>
                 <CardFooter className="justify-between">
                   <div className="text-xs text-muted-foreground flex items-center gap-1"><Info className="size-3.5"/> Tip: Small dots or ticks are marked as a short stroke (we accept a tiny line).</div>
@@ -539,47 +3158,233 @@ export default function KatakanaTrainerApp() {
                 </CardFooter>
               </Card>
 
+              <div className="space-y-4">
               <Card className="rounded-2xl shadow-sm">
                 <CardHeader className="pb-2">
                   <CardTitle className="text-lg flex items-center gap-2"><BookOpen className="size-4"/> Quick Reference</CardTitle>
-                  <CardDescription>Open an external animated stroke guide.</CardDescription>
+                  <CardDescription>Watch the stroke order, one stroke at a time. Works offline.</CardDescription>
                 </CardHeader>
                 <CardContent className="space-y-3">
-                  <div className="text-sm">Selected: <span className="font-semibold">{question?.kana}</span> (<span className="text-muted-foreground">{question?.romaji}</span>)</div>
-                  <div className="flex items-center gap-2">
-                    <a href={guideLink} target="_blank" rel="noreferrer" className="inline-flex"><Button className="gap-2" variant="secondary"><Play className="size-4"/> Open Animation</Button></a>
-                    <a href="https://japanese-lesson.com/characters/katakana/katakana_drill/katakana01.html" target="_blank" rel="noreferrer" className="inline-flex"><Button variant="ghost">Alt. guide</Button></a>
-                  </div>
-                  <p className="text-xs text-muted-foreground">These resources include per‑character stroke order animations. Use them to verify precise starts/ends and overlaps.</p>
+                  <div className="text-sm">Selected: <span className="font-semibold">{question?.kana}</span> (<span className="text-muted-foreground">{question && romanize(question, romaSystem)}</span>)</div>
+                  <StrokeAnimation kana={question?.kana ?? 'ア'} />
+                  <p className="text-xs text-muted-foreground">Numbers mark where each stroke starts. Step through stroke by stroke, or slow it down to check starts, ends and overlaps.</p>
+                </CardContent>
+              </Card>
+
+              <Card className="rounded-2xl shadow-sm">
+                <CardHeader className="pb-2">
+                  <CardTitle className="text-lg flex items-center gap-2"><History className="size-4"/> Recorded Attempts</CardTitle>
+                  <CardDescription>Every trace is saved with its timing. Replay how it was written, or export it for review.</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  {(() => {
+                    const shown = attempts.filter(a => allAttempts || a.kana === question?.kana).slice().reverse();
+                    const replay = attempts.find(a => a.id === replayId);
+                    return (
+                      <>
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center gap-2"><Switch id="all-attempts" checked={allAttempts} onCheckedChange={setAllAttempts}/><Label htmlFor="all-attempts" className="text-sm">All characters</Label></div>
+                          <span className="text-xs text-muted-foreground">{shown.length} shown &middot; last {ATTEMPTS_KEEP} kept</span>
+                        </div>
+                        {shown.length === 0 ? (
+                          <div className="text-sm text-muted-foreground">No attempts yet{allAttempts ? "" : " for this character"} — trace it on the left.</div>
+                        ) : (
+                          <div className="max-h-48 overflow-y-auto divide-y rounded-xl border">
+                            {shown.map(a => (
+                              <div key={a.id} className={`flex items-center gap-2 px-3 py-1.5 text-sm ${a.id === replayId ? "bg-slate-50" : ""}`}>
+                                <span className="text-xl w-10" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{a.kana}</span>
+                                <span className="flex-1 text-xs text-muted-foreground">{new Date(a.at).toLocaleString()} &middot; {a.strokes.length} strokes &middot; {(attemptDuration(a) / 1000).toFixed(1)} s</span>
+                                <Badge variant={a.grade === null ? "outline" : "secondary"} className="text-xs">{a.grade === null ? "unfinished" : a.grade}</Badge>
+                                <Button size="icon" variant="ghost" className="size-7" onClick={() => setReplayId(a.id)} title="Replay"><Play className="size-3.5"/></Button>
+                                <Button size="icon" variant="ghost" className="size-7" onClick={() => downloadText(`trace-${a.kana}-${a.id}.svg`, attemptToSVG(a), "image/svg+xml")} title="Export SVG"><Download className="size-3.5"/></Button>
+                                <Button size="icon" variant="ghost" className="size-7" onClick={() => setAttempts(prev => prev.filter(x => x.id !== a.id))} title="Delete"><Trash2 className="size-3.5"/></Button>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {replay && <AttemptReplay attempt={replay} />}
+                      </>
+                    );
+                  })()}
                 </CardContent>
+                <CardFooter className="justify-end gap-2">
+                  <input ref={importRef} type="file" accept=".json,.svg,application/json,image/svg+xml" className="hidden" onChange={e => { const f = e.target.files?.[0]; if (f) importAttempts(f); e.target.value = ""; }}/>
+                  <Button variant="outline" size="sm" className="gap-2" onClick={() => importRef.current?.click()}><Upload className="size-4"/>Import JSON / SVG</Button>
+                  <Button variant="outline" size="sm" className="gap-2" disabled={attempts.length === 0} onClick={() => downloadText(`katakana-traces-${dayKey()}.json`, attemptsToJSON(attempts), "application/json")}><Download className="size-4"/>Export JSON</Button>
+                </CardFooter>
               </Card>
+              </div>
             </div>
           </TabsContent>
 
           {/* STUDY TAB */}
           <TabsContent value="study" className="mt-4">
+            <div className={`grid gap-4 ${detailEntry ? "lg:grid-cols-[1fr_24rem]" : ""}`}>
             <Card className="rounded-2xl shadow-sm">
               <CardHeader className="pb-2">
-                <CardTitle className="text-lg">Full Chart</CardTitle>
-                <CardDescription>Click any tile to make it the active quiz character.</CardDescription>
+                <div className="flex items-start justify-between gap-3">
+                  <div>
+                    <CardTitle className="text-lg">Full Chart</CardTitle>
+                    <CardDescription>Click any tile to make it the active quiz character and open its details.</CardDescription>
+                  </div>
+                  <div className="flex flex-wrap items-center justify-end gap-2 shrink-0">
+                    <Switch id="hira-overlay" checked={hiraOverlay} onCheckedChange={setHiraOverlay} />
+                    <Label htmlFor="hira-overlay" className="text-xs text-muted-foreground">Show hiragana</Label>
+                    <input ref={mnemonicsRef} type="file" accept=".json,application/json" className="hidden" onChange={e => { const f = e.target.files?.[0]; if (f) importMnemonics(f); e.target.value = ""; }}/>
+                    <Button variant="ghost" size="sm" className="gap-2" onClick={() => mnemonicsRef.current?.click()} title="Import mnemonics (JSON)"><Upload className="size-4"/>Import</Button>
+                    <Button variant="ghost" size="sm" className="gap-2" onClick={() => downloadText(`katakana-mnemonics-${dayKey()}.json`, mnemonicsToJSON(mnemonics), "application/json")} title="Export every mnemonic, yours included"><Download className="size-4"/>Mnemonics</Button>
+                  </div>
+                </div>
               </CardHeader>
-              <CardContent>
-                <div className="grid grid-cols-3 sm:grid-cols-6 md:grid-cols-10 gap-2">
-                  {KATAKANA.map((k, i) => (
-                    <motion.button
-                      key={k.kana}
-                      whileHover={{ y: -2 }}
-                      whileTap={{ scale: 0.98 }}
-                      onClick={() => { setQuestion(k); setRevealed(false); setInput(""); setResetStrokeSignal(x=>x+1); }}
-                      className="rounded-2xl border shadow-sm bg-white p-3 flex flex-col items-center gap-1"
-                    >
-                      <div className="text-3xl" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{k.kana}</div>
-                      <div className="text-xs text-muted-foreground">{k.romaji}</div>
-                    </motion.button>
-                  ))}
+              <CardContent className="space-y-6">
+                <div className="flex flex-wrap items-center gap-2">
+                  <Input placeholder="Search romaji or kana…" value={studySearch} onChange={e => setStudySearch(e.target.value)} className="w-44" />
+                  <Select value={studyRow} onValueChange={setStudyRow}>
+                    <SelectTrigger className="w-44"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All rows</SelectItem>
+                      {ROWS_ALL.map(r => <SelectItem key={r.key} value={r.key}>{r.label}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                  <Select value={studyStatusFilter} onValueChange={v => setStudyStatusFilter(v as StudyStatus | "all")}>
+                    <SelectTrigger className="w-40"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">Any status</SelectItem>
+                      {STUDY_STATUSES.map(st => <SelectItem key={st.key} value={st.key}>{st.label} ({KATAKANA.filter(k => studyStatuses[k.kana] === st.key).length})</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                  <Select value={studyLayout} onValueChange={v => setStudyLayout(v as StudyLayout)}>
+                    <SelectTrigger className="w-36"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="gojuon">Gojūon table</SelectItem>
+                      <SelectItem value="compact">Compact grid</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <div className="ml-auto flex items-center gap-2">
+                    <span className="text-xs text-muted-foreground">{studyVisible.length} of {KATAKANA.length}</span>
+                    {studyFiltered && <Button variant="ghost" size="sm" onClick={() => { setStudySearch(""); setStudyRow("all"); setStudyStatusFilter("all"); }}>Clear</Button>}
+                    <Button size="sm" className="gap-2" disabled={studyVisible.length === 0} onClick={() => startFocusedQuiz(studyVisible.map(k => k.kana))}><Play className="size-4"/>Quiz these</Button>
+                  </div>
                 </div>
+                {ROW_GROUPS.map(g => {
+                  const entries = KATAKANA.filter(k => groupOf(k) === g.key);
+                  const shown = entries.filter(k => studyVisible.includes(k));
+                  if (shown.length === 0) return null;
+                  const tile = (k: KanaEntry) => (
+                    <StudyTile key={k.kana} entry={k} romaSystem={romaSystem} extended={g.key === "extended"} hiragana={hiraOverlay}
+                      ownMnemonic={!!mnemonics[k.kana]} selected={detailEntry?.kana === k.kana} onPick={() => openDetail(k)} />
+                  );
+                  // marks and loanword combos don't fit the vowel columns, so they stay compact
+                  const vowels = g.key === "yoon" ? YOON_VOWELS : GOJUON_VOWELS;
+                  const table = studyLayout === "gojuon" && ["basic", "dakuten", "yoon"].includes(g.key);
+                  return (
+                    <div key={g.key} className="space-y-2">
+                      <div className="text-xs uppercase tracking-wide text-muted-foreground">{g.label}{g.note && <span className="normal-case ml-2">— {g.note}</span>}</div>
+                      {table ? (
+                        <div className="space-y-2">
+                          {gojuonLines(entries, vowels).filter(line => line.some(k => k && shown.includes(k))).map(line => (
+                            <div key={line.find(k => k)!.kana} className={`grid gap-2 ${vowels.length === 3 ? "grid-cols-3 max-w-xs" : "grid-cols-5 max-w-lg"}`}>
+                              {line.map((k, i) => k && shown.includes(k) ? tile(k) : <div key={`blank-${i}`} />)}
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <div className="grid grid-cols-3 sm:grid-cols-6 md:grid-cols-10 gap-2">{shown.map(k => tile(k))}</div>
+                      )}
+                    </div>
+                  );
+                })}
+                {studyVisible.length === 0 && <div className="text-sm text-muted-foreground">Nothing matches these filters.</div>}
               </CardContent>
             </Card>
+            {detailEntry && (
+              <div ref={detailRef} className="lg:sticky lg:top-4 self-start">
+                <KanaDetail
+                  entry={detailEntry}
+                  romaSystem={romaSystem}
+                  stats={stats.kana[detailEntry.kana]}
+                  card={srs[detailEntry.kana]}
+                  traceBest={tracing[detailEntry.kana]?.best}
+                  confusions={confusions}
+                  own={mnemonics[detailEntry.kana]}
+                  onSaveMnemonic={t => saveMnemonic(detailEntry.kana, t)}
+                  onPick={kana => openDetail(KATAKANA.find(k => k.kana === kana)!)}
+                  onHear={() => playKana(detailEntry, false).then(setAudioSource)}
+                  onTrace={() => { setQuestion(detailEntry); setResetStrokeSignal(x=>x+1); setTab("stroke"); }}
+                  onQuiz={() => startFocusedQuiz([detailEntry.kana])}
+                  onClose={() => setDetail(null)}
+                />
+              </div>
+            )}
+            </div>
+          </TabsContent>
+
+          {/* STATS TAB */}
+          <TabsContent value="stats" className="mt-4">
+            <div className="grid lg:grid-cols-[1.4fr_1fr] gap-4">
+              <Card className="rounded-2xl shadow-sm">
+                <CardHeader className="pb-2">
+                  <CardTitle className="text-lg flex items-center gap-2"><BarChart3 className="size-4"/> Accuracy Heatmap</CardTitle>
+                  <CardDescription>Per-character accuracy across all sessions. Grey = not practised yet.</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  {ROW_GROUPS.map(g => (
+                    <div key={g.key} className="space-y-2">
+                      <div className="text-xs uppercase tracking-wide text-muted-foreground">{g.label}</div>
+                      <div className="grid grid-cols-3 sm:grid-cols-6 md:grid-cols-10 gap-2">
+                        {KATAKANA.filter(k => groupOf(k) === g.key).map(k => {
+                          const s = stats.kana[k.kana];
+                          const acc = accuracyOf(s);
+                          return (
+                            <div
+                              key={k.kana}
+                              title={s ? `${s.correct}/${s.attempts} correct · ${s.reveals} reveals · ${s.hints} hints · avg ${(s.ms / Math.max(1, s.attempts) / 1000).toFixed(1)}s` : "No attempts yet"}
+                              className="rounded-2xl border p-2 flex flex-col items-center"
+                              style={{ background: acc === null ? "#f1f5f9" : `hsl(${Math.round(acc * 120)}, 70%, 85%)` }}
+                            >
+                              <div className="text-2xl" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{k.kana}</div>
+                              <div className="text-[10px] text-slate-700">{acc === null ? "—" : `${Math.round(acc * 100)}%`}</div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+
+              <div className="space-y-4">
+                <Card className="rounded-2xl shadow-sm">
+                  <CardHeader className="pb-2">
+                    <CardTitle className="text-lg">Daily Trend</CardTitle>
+                    <CardDescription>Attempts (bars) and accuracy (dots), last 14 days.</CardDescription>
+                  </CardHeader>
+                  <CardContent><TrendChart days={stats.days} /></CardContent>
+                </Card>
+
+                <Card className="rounded-2xl shadow-sm">
+                  <CardHeader className="pb-2">
+                    <CardTitle className="text-lg">Weakest 10</CardTitle>
+                    <CardDescription>Lowest accuracy, counting reveals and hints against you.</CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-2">
+                    {weakest.length === 0 && <div className="text-sm text-muted-foreground">Answer a few questions first.</div>}
+                    {weakest.map(({ entry, s }) => (
+                      <div key={entry.kana} className="flex items-center gap-3 text-sm">
+                        <span className="text-2xl w-12" style={{ fontFamily: '"Noto Sans JP","Hiragino Kaku Gothic ProN",system-ui,sans-serif' }}>{entry.kana}</span>
+                        <span className="w-12 text-muted-foreground">{romanize(entry, romaSystem)}</span>
+                        <span className="flex-1"><Progress value={Math.round((accuracyOf(s) ?? 0) * 100)} /></span>
+                        <span className="w-28 text-right text-xs text-muted-foreground">{s.correct}/{s.attempts} · {(s.ms / Math.max(1, s.attempts) / 1000).toFixed(1)}s</span>
+                      </div>
+                    ))}
+                  </CardContent>
+                  <CardFooter className="justify-between">
+                    <Button variant="ghost" size="sm" onClick={() => { setStats(EMPTY_STATS); toast.message("Statistics cleared"); }}>Clear history</Button>
+                    <Button className="gap-2" disabled={weakest.length === 0} onClick={() => startFocusedQuiz(weakest.map(w => w.entry.kana))}><Play className="size-4"/> Quiz weakest</Button>
+                  </CardFooter>
+                </Card>
+              </div>
+            </div>
           </TabsContent>
         </Tabs>
       </div>
@@ -595,3 +3400,24 @@ function SettingsIcon() {
     </svg>
   );
 }
+
+// pure helpers, exported for the unit tests in App.test.js
+export {
+  KATAKANA, groupOf, baseOf, DEFAULT_SETTINGS,
+  romanize, matchRomaji, judgeAnswer,
+  splitKana, readWord, judgeWord, romajiToKana, choiceOptions,
+  LOOKALIKES, pairKey, confusedWith,
+  EMPTY_STATS, addStats, accuracyOf, weaknessOf,
+  srsReview, answerQuality, answerPoints,
+  LS_KEYS, loadJSON, saveJSON, loadSettings, isStatsStore, isLeaderboards, isMnemonicStore,
+  parsePath, strokesFor, strokeDir, resample, pathLength, checkStroke, recognize,
+  gradeTracing, endingsFor,
+  attemptsToJSON, attemptToSVG, parseAttempts,
+  detectEnding, retryLast,
+  byRank, byAccuracy, GAME_MODES, MODE_LABELS, GAME_MODES_TEXT,
+  lessonQueue, lessonSummary, formatDuration,
+  toHiragana, HIRAGANA,
+  builtinMnemonic, mnemonicsToJSON, parseMnemonics,
+  GLYPH_FONTS, namedFonts,
+  gojuonLines, GOJUON_VOWELS, YOON_VOWELS, matchesSearch, studyStatus,
+};
@@ -1,8 +1,690 @@
 import { render, screen } from '@testing-library/react';
-import App from './App';
+import App, {
+  KATAKANA, groupOf, baseOf, DEFAULT_SETTINGS,
+  romanize, matchRomaji, judgeAnswer,
+  splitKana, readWord, judgeWord, romajiToKana, choiceOptions,
+  LOOKALIKES, pairKey, confusedWith,
+  EMPTY_STATS, addStats, accuracyOf, weaknessOf,
+  srsReview, answerQuality, answerPoints,
+  LS_KEYS, loadJSON, saveJSON, loadSettings, isStatsStore, isLeaderboards, isMnemonicStore,
+  parsePath, strokesFor, strokeDir, resample, pathLength, checkStroke, recognize,
+  gradeTracing, endingsFor,
+  attemptsToJSON, attemptToSVG, parseAttempts,
+  detectEnding, retryLast,
+  byRank, byAccuracy, GAME_MODES, MODE_LABELS, GAME_MODES_TEXT,
+  lessonQueue, lessonSummary, formatDuration,
+  toHiragana, HIRAGANA,
+  builtinMnemonic, mnemonicsToJSON, parseMnemonics,
+  GLYPH_FONTS, namedFonts,
+  gojuonLines, GOJUON_VOWELS, YOON_VOWELS, matchesSearch, studyStatus,
+} from './App';
 
-test('renders learn react link', () => {
+test('renders the trainer', () => {
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null); // jsdom has no 2D canvas
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Katakana Trainer');
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1);
+
+describe('srsReview', () => {
+  test('a new card answered cleanly is due tomorrow, then in 6 days', () => {
+    const first = srsReview(undefined, 5, NOW);
+    expect(first).toMatchObject({ reps: 1, interval: 1, lapses: 0, due: NOW + DAY });
+    const second = srsReview(first, 5, NOW);
+    expect(second).toMatchObject({ reps: 2, interval: 6, due: NOW + 6 * DAY });
+  });
+
+  test('later intervals grow by the ease factor', () => {
+    const card = { ease: 2.5, interval: 6, reps: 2, lapses: 0, due: NOW, last: 0 };
+    expect(srsReview(card, 4, NOW).interval).toBe(15);
+  });
+
+  test('quality below 3 is a lapse: back in 10 minutes with lower ease', () => {
+    const card = { ease: 2.5, interval: 15, reps: 3, lapses: 0, due: NOW, last: 0 };
+    const next = srsReview(card, 2, NOW);
+    expect(next).toMatchObject({ reps: 0, interval: 0, lapses: 1, due: NOW + 10 * 60 * 1000 });
+    expect(next.ease).toBeCloseTo(2.3);
+  });
+
+  test('ease never drops below 1.3', () => {
+    let card;
+    for (let i = 0; i < 10; i++) card = srsReview(card, 0, NOW);
+    expect(card.ease).toBe(1.3);
+  });
+});
+
+describe('answerQuality', () => {
+  test('only an unaided answer passes', () => {
+    expect(answerQuality(false, false)).toBeGreaterThanOrEqual(3);
+    expect(answerQuality(true, false)).toBeLessThan(3);
+    expect(answerQuality(false, true)).toBeLessThan(3);
+  });
+
+  test('Hint gives as much away as Reveal, so it scores no higher', () => {
+    expect(answerQuality(true, false)).toBeLessThanOrEqual(answerQuality(false, true));
+    expect(answerQuality(true, true)).toBe(answerQuality(false, true));
+  });
+
+  test('quiz points agree with the review quality', () => {
+    expect(answerPoints(false, false)).toBe(10);
+    expect(answerPoints(true, false)).toBe(5);
+    expect(answerPoints(false, true)).toBe(5);
+  });
+
+  test('a correct answer after Reveal does not grow the interval', () => {
+    const learned = { ease: 2.5, interval: 6, reps: 2, lapses: 0, due: NOW, last: 0 };
+    expect(srsReview(learned, answerQuality(false, true), NOW).interval).toBe(0);
+  });
+});
+
+describe('kana table', () => {
+  const byRow = row => KATAKANA.filter(k => k.row === row);
+
+  test('every kana appears once', () => {
+    expect(new Set(KATAKANA.map(k => k.kana)).size).toBe(KATAKANA.length);
+  });
+
+  test('voiced and half-voiced rows are their gojūon kana plus ゛ / ゜', () => {
+    KATAKANA.filter(k => groupOf(k) === 'dakuten').forEach(k => {
+      const base = KATAKANA.find(x => x.kana === baseOf(k.kana));
+      expect(base && groupOf(base)).toBe('basic');
+      expect(k.kana).not.toBe(base.kana);
+    });
+    expect(byRow('ga').map(k => k.kana).join('')).toBe('ガギグゲゴ');
+    expect(byRow('pa').map(k => k.romaji)).toEqual(['pa', 'pi', 'pu', 'pe', 'po']);
+  });
+
+  test('yōon combos are an i-column kana plus a small ャ / ュ / ョ', () => {
+    KATAKANA.filter(k => groupOf(k) === 'yoon').forEach(k => {
+      const [big, small] = [...k.kana];
+      expect('ャュョ').toContain(small);
+      expect(KATAKANA.find(x => x.kana === big).romaji).toMatch(/i$/);
+    });
+  });
+
+  test('loanword combos sit in their own opt-in group', () => {
+    const ext = byRow('ext');
+    expect(ext.map(k => k.kana)).toEqual(expect.arrayContaining(['ファ', 'ティ', 'ヴ', 'ウィ']));
+    ext.forEach(k => expect(groupOf(k)).toBe('extended'));
+    expect(DEFAULT_SETTINGS.activeRows).not.toContain('ext');
+  });
+});
+
+describe('romanization', () => {
+  const kana = k => KATAKANA.find(x => x.kana === k);
+  const asRomaji = k => ({ prompt: k.kana, answer: k.romaji, kind: 'romaji' });
+
+  test('each system spells the kana that differ', () => {
+    expect(['hepburn', 'kunrei', 'nihon'].map(s => romanize(kana('ヂ'), s))).toEqual(['ji', 'zi', 'di']);
+    expect(romanize(kana('シャ'), 'kunrei')).toBe('sya');
+    expect(romanize(kana('カ'), 'nihon')).toBe('ka');
+  });
+
+  test('matchRomaji reports which system a spelling belongs to', () => {
+    expect(matchRomaji(kana('ツ'), 'tsu', 'kunrei')).toBe('hepburn');
+    expect(matchRomaji(kana('ツ'), 'tu', 'kunrei')).toBe('kunrei');
+    expect(matchRomaji(kana('ン'), 'nn', 'hepburn')).toBe('extra');
+    expect(matchRomaji(kana('ツ'), 'su', 'hepburn')).toBeNull();
+  });
+
+  test('another system is accepted with a notice, the chosen one silently', () => {
+    const shi = kana('シ');
+    expect(judgeAnswer(shi, asRomaji(shi), 'si', 'kunrei')).toEqual({ good: true });
+    const other = judgeAnswer(shi, asRomaji(shi), 'si', 'hepburn');
+    expect(other.good).toBe(true);
+    expect(other.notice).toMatch(/Kunrei-shiki/);
+    expect(judgeAnswer(shi, asRomaji(shi), 'tsu', 'hepburn').good).toBe(false);
+  });
+
+  test('answers are trimmed and case-insensitive', () => {
+    const ka = kana('カ');
+    expect(judgeAnswer(ka, asRomaji(ka), '  KA ', 'hepburn').good).toBe(true);
+  });
+});
+
+describe('word readings', () => {
+  test('splitKana prefers combos and rejects unknown characters', () => {
+    expect(splitKana('キャンプ').map(k => k.kana)).toEqual(['キャ', 'ン', 'プ']);
+    expect(splitKana('カ犬')).toBeNull();
+  });
+
+  test('ー lengthens the vowel: macrons shown, doubled vowels and dashes accepted', () => {
+    const r = readWord('コーヒー', 'hepburn');
+    expect(r.display).toBe('kōhī');
+    expect(r.accepted).toEqual(expect.arrayContaining(['kōhī', 'koohii', 'ko-hi-']));
+  });
+
+  test('ッ doubles the next consonant, with ch becoming tch', () => {
+    expect(readWord('ベッド', 'hepburn').display).toBe('beddo');
+    expect(readWord('マッチ', 'hepburn').display).toBe('matchi');
+    expect(readWord('マッチ', 'kunrei').display).toBe('matti');
+  });
+
+  test('judgeWord checks romaji readings and kana spellings', () => {
+    const w = { kana: 'テレビ', gloss: 'television' };
+    expect(judgeWord(w, { prompt: 'テレビ', answer: 'terebi', kind: 'romaji' }, ' terebi ', 'hepburn').good).toBe(true);
+    expect(judgeWord(w, { prompt: 'terebi', answer: 'テレビ', kind: 'kana' }, 'テレビ', 'hepburn').good).toBe(true);
+    expect(judgeWord(w, { prompt: 'terebi', answer: 'テレビ', kind: 'kana' }, 'テレピ', 'hepburn').good).toBe(false);
+  });
+});
+
+describe('romajiToKana', () => {
+  test('converts syllables, combos, ッ and ン', () => {
+    expect(romajiToKana('kyanpu')).toBe('キャンプ');
+    expect(romajiToKana('kitte')).toBe('キッテ');
+    expect(romajiToKana('macchi')).toBe('マッチ');
+    expect(romajiToKana('kon\'nichiha')).toBe('コンニチハ');
+  });
+
+  test('a trailing n stays latin while typing and becomes ン on submit', () => {
+    expect(romajiToKana('pan')).toBe('パn');
+    expect(romajiToKana('pan', true)).toBe('パン');
+    expect(romajiToKana('pann')).toBe('パン');
+  });
+
+  test('Hepburn keeps the chart spellings for the loanword kana', () => {
+    expect(romajiToKana('ti')).toBe('ティ');
+    expect(romajiToKana('chi')).toBe('チ');
+  });
+
+  test('Kunrei and Nihon get チ ツ ヂ ヅ for ti tu di du, loanword kana via thi twu dhi dwu', () => {
+    ['kunrei', 'nihon'].forEach(system => {
+      expect(romajiToKana('titudidu', false, system)).toBe('チツヂヅ');
+      expect(romajiToKana('thitwudhidwu', false, system)).toBe('ティトゥディドゥ');
+    });
+  });
+
+  test('jy- and cy- spellings make combos', () => {
+    expect(romajiToKana('jyajyujyo')).toBe('ジャジュジョ');
+    expect(romajiToKana('cyacyucyo')).toBe('チャチュチョ');
+  });
+
+  test('a Kunrei learner typing ti for チ is judged correct without a homophone notice', () => {
+    const chi = KATAKANA.find(k => k.kana === 'チ');
+    const typed = romajiToKana('ti', true, 'kunrei');
+    expect(judgeAnswer(chi, { prompt: 'ti', answer: 'チ', kind: 'kana' }, typed, 'kunrei')).toEqual({ good: true });
+  });
+});
+
+describe('choiceOptions', () => {
+  const kana = k => KATAKANA.find(x => x.kana === k);
+  const aRow = KATAKANA.filter(k => k.row === 'a');
+
+  test('returns n distinct options including the answer', () => {
+    const shi = kana('シ');
+    const opts = choiceOptions(shi, aRow, { prompt: 'shi', answer: 'シ', kind: 'kana' }, 'hepburn', 6);
+    expect(opts).toHaveLength(6);
+    expect(new Set(opts).size).toBe(6);
+    expect(opts).toContain('シ');
+  });
+
+  test('look-alikes come first', () => {
+    const opts = choiceOptions(kana('ソ'), KATAKANA, { prompt: 'so', answer: 'ソ', kind: 'kana' }, 'hepburn', 4);
+    expect(opts).toEqual(expect.arrayContaining(['ソ', 'ン', 'リ']));
+  });
+
+  test('never offers another accepted answer (ジ / ヂ both read ji)', () => {
+    for (let i = 0; i < 20; i++) {
+      const opts = choiceOptions(kana('ジ'), KATAKANA, { prompt: 'ji', answer: 'ジ', kind: 'kana' }, 'hepburn', 6);
+      expect(opts).not.toContain('ヂ');
+    }
+  });
+
+  test('a group too small to fill the options is topped up from the whole table', () => {
+    const marks = KATAKANA.filter(k => k.row === 'marks');
+    for (const n of [4, 6]) {
+      const opts = choiceOptions(kana('ー'), marks, { prompt: 'ー', answer: '-', kind: 'romaji' }, 'hepburn', n);
+      expect(opts).toHaveLength(n);
+      expect(new Set(opts).size).toBe(n);
+    }
+  });
+
+  test('a small pool is topped up from the same group, not from other groups', () => {
+    const ka = kana('カ');
+    for (let i = 0; i < 20; i++) {
+      const opts = choiceOptions(ka, aRow, { prompt: 'ka', answer: 'カ', kind: 'kana' }, 'hepburn', 6);
+      opts.forEach(o => expect(['yoon', 'marks', 'extended']).not.toContain(groupOf(KATAKANA.find(x => x.kana === o))));
+    }
+  });
+});
+
+describe('look-alikes', () => {
+  test('every group names real kana and its focus boxes stay inside the glyph', () => {
+    LOOKALIKES.forEach(g => {
+      expect(g.kana.length).toBeGreaterThanOrEqual(2);
+      g.kana.forEach(k => expect(KATAKANA.some(x => x.kana === k)).toBe(true));
+      Object.entries(g.focus ?? {}).forEach(([k, [x, y, w, h]]) => {
+        expect(g.kana).toContain(k);
+        expect(Math.min(x, y, w, h)).toBeGreaterThanOrEqual(0);
+        expect(x + w).toBeLessThanOrEqual(1.0001);
+        expect(y + h).toBeLessThanOrEqual(1.0001);
+      });
+    });
+  });
+
+  test('kana in one group never share a focus box', () => {
+    LOOKALIKES.filter(g => g.focus).forEach(g => {
+      const boxes = Object.values(g.focus).map(b => b.join());
+      expect(new Set(boxes).size).toBe(boxes.length);
+    });
+  });
+
+  test('pairKey is order-independent', () => {
+    expect(pairKey('ツ', 'シ')).toBe(pairKey('シ', 'ツ'));
+  });
+
+  test('confusedWith finds the kana that was typed or whose reading was typed', () => {
+    const shi = KATAKANA.find(k => k.kana === 'シ');
+    expect(confusedWith(shi, { prompt: 'shi', answer: 'シ', kind: 'kana' }, 'ツ', 'hepburn').kana).toBe('ツ');
+    expect(confusedWith(shi, { prompt: 'シ', answer: 'shi', kind: 'romaji' }, 'tsu', 'hepburn').kana).toBe('ツ');
+    expect(confusedWith(shi, { prompt: 'シ', answer: 'shi', kind: 'romaji' }, 'xyz', 'hepburn')).toBeUndefined();
+  });
+});
+
+describe('statistics', () => {
+  test('addStats sums per kana and adds attempts to today\'s totals', () => {
+    let s = addStats(EMPTY_STATS, 'ア', { attempts: 1, correct: 1, ms: 800 });
+    s = addStats(s, 'ア', { attempts: 1, correct: 0, ms: 1200 });
+    s = addStats(s, 'カ', { reveals: 1 });
+    expect(s.kana['ア']).toMatchObject({ attempts: 2, correct: 1, ms: 2000 });
+    expect(s.kana['カ']).toMatchObject({ attempts: 0, reveals: 1 });
+    const days = Object.values(s.days);
+    expect(days).toEqual([{ attempts: 2, correct: 1 }]);
+    expect(Object.values(s.kana['ア'].days)).toEqual([{ attempts: 2, correct: 1 }]);
+  });
+
+  test('accuracy is null until the kana has been answered', () => {
+    expect(accuracyOf(undefined)).toBeNull();
+    expect(accuracyOf({ attempts: 4, correct: 3, reveals: 0, hints: 0, ms: 0 })).toBe(0.75);
+  });
+
+  test('reveals and hints make a kana weaker, by the same amount', () => {
+    const base = { attempts: 4, correct: 3, reveals: 0, hints: 0, ms: 0 };
+    expect(weaknessOf({ ...base, reveals: 2 })).toBeGreaterThan(weaknessOf(base));
+    expect(weaknessOf({ ...base, hints: 2 })).toBe(weaknessOf({ ...base, reveals: 2 }));
+  });
+});
+
+describe('storage', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('saveJSON writes an envelope that loadJSON reads back', () => {
+    saveJSON(LS_KEYS.srs, { ア: 1 });
+    expect(JSON.parse(localStorage.getItem(LS_KEYS.srs))).toEqual({ v: 2, data: { ア: 1 } });
+    expect(loadJSON(LS_KEYS.srs, {})).toEqual({ ア: 1 });
+  });
+
+  test('bare v1 records are still read', () => {
+    localStorage.setItem(LS_KEYS.highScore, '42');
+    expect(loadJSON(LS_KEYS.highScore, 0)).toBe(42);
+  });
+
+  test('unreadable or wrongly shaped records fall back and are kept aside', () => {
+    localStorage.setItem(LS_KEYS.confusions, '{not json');
+    expect(loadJSON(LS_KEYS.confusions, {})).toEqual({});
+    expect(localStorage.getItem(`${LS_KEYS.confusions}__corrupt`)).toBe('{not json');
+
+    localStorage.setItem(LS_KEYS.stats, JSON.stringify({ v: 2, data: { days: {} } }));
+    expect(loadJSON(LS_KEYS.stats, EMPTY_STATS, isStatsStore)).toBe(EMPTY_STATS);
+    expect(localStorage.getItem(LS_KEYS.stats)).toBeNull();
+    expect(localStorage.getItem(`${LS_KEYS.stats}__corrupt`)).not.toBeNull();
+  });
+
+  test('shape checks', () => {
+    expect(isStatsStore(addStats(EMPTY_STATS, 'ア', { attempts: 1, correct: 1, ms: 500 }))).toBe(true);
+    expect(isStatsStore({ kana: { ア: { attempts: '1' } }, days: {} })).toBe(false);
+    expect(isLeaderboards({ sprint: [{ score: 3, answered: 4, ms: 60000, at: NOW, mode: 'kana2roma', pool: 46 }] })).toBe(true);
+    expect(isLeaderboards({ sprint: 'oops' })).toBe(false);
+    expect(isMnemonicStore({ ア: 'an axe' })).toBe(true);
+    expect(isMnemonicStore({ ア: 7 })).toBe(false);
+  });
+
+  test('loadSettings keeps valid fields and replaces the rest', () => {
+    saveJSON(LS_KEYS.settings, { mode: 'nope', choiceCount: 6, activeRows: ['a', 'gone'] });
+    const s = loadSettings();
+    expect(s.mode).toBe(DEFAULT_SETTINGS.mode);
+    expect(s.choiceCount).toBe(6);
+    expect(s.activeRows).toEqual(['a']);
+  });
+});
+
+describe('stroke paths', () => {
+  test('parsePath keeps straight segments and samples curves', () => {
+    expect(parsePath('M10,20 L30,20')).toEqual([[10, 20], [30, 20]]);
+    const curve = parsePath('M0,0 Q50,50 100,0');
+    expect(curve).toHaveLength(9);
+    expect(curve[curve.length - 1]).toEqual([100, 0]);
+  });
+
+  test('every kana has strokes inside the 100×100 box', () => {
+    for (const k of KATAKANA) {
+      const strokes = strokesFor(k.kana);
+      expect(strokes.length).toBeGreaterThan(0);
+      const coords = strokes.flat(2);
+      expect(Math.min(...coords)).toBeGreaterThanOrEqual(0);
+      expect(Math.max(...coords)).toBeLessThanOrEqual(100);
+    }
+  });
+
+  test('direction chips are read off the reference strokes, in stroke order', () => {
+    const dirs = kana => strokesFor(kana).map(strokeDir);
+    expect(dirs('ト')).toEqual(['V', 'DU']);
+    expect(dirs('ッ')).toEqual(['DOT', 'DOT', 'DD']);
+    expect(dirs('ン')).toEqual(['DU', 'RISE']);
+    expect(dirs('イ')).toEqual(['DD', 'V']);
+    expect(dirs('フ')).toEqual(['H']); // the hook comes after it sets off
+    expect(dirs('ヘ')).toEqual(['RISE']);
+    expect(dirs('パ').at(-1)).toBe('DOT');
+  });
+
+  test('voiced and combo entries add to their base strokes', () => {
+    expect(strokesFor('ガ')).toHaveLength(strokesFor('カ').length + 2);
+    expect(strokesFor('パ')).toHaveLength(strokesFor('ハ').length + 1);
+    expect(strokesFor('キャ')).toHaveLength(strokesFor('キ').length + strokesFor('ャ').length);
+  });
+
+  test('resample spaces points evenly along the path', () => {
+    const r = resample([[0, 0], [30, 0], [30, 30]], 7);
+    expect(r).toHaveLength(7);
+    expect(r[3]).toEqual([30, 0]);
+    expect(pathLength(r)).toBeCloseTo(60);
+  });
+});
+
+describe('checkStroke', () => {
+  const [first] = strokesFor('ニ'); // left to right
+  const shift = (pts, dx, dy) => pts.map(([x, y]) => [x + dx, y + dy]);
+
+  test('accepts the reference and a near copy of it', () => {
+    expect(checkStroke(first, first).ok).toBe(true);
+    expect(checkStroke(shift(first, 3, -3), first).ok).toBe(true);
+  });
+
+  test('flags a stroke drawn the wrong way round', () => {
+    const c = checkStroke([...first].reverse(), first);
+    expect(c).toMatchObject({ ok: false, start: false, end: false, reversed: true });
+  });
+
+  test('reports how far off the start point was', () => {
+    const c = checkStroke(shift(first, 30, 0), first);
+    expect(c.ok).toBe(false);
+    expect(c.start).toBe(false);
+    expect(c.startOff[0]).toBeCloseTo(30);
+  });
+});
+
+describe('recognize', () => {
+  const gojuon = KATAKANA.filter(k => groupOf(k) === 'basic');
+
+  test('nothing drawn, nothing recognised', () => {
+    expect(recognize([])).toEqual([]);
+    expect(recognize([[[10, 10]]])).toEqual([]);
+  });
+
+  test('the reference strokes of each gojūon kana rank that kana first', () => {
+    expect(gojuon.length).toBeGreaterThan(40);
+    for (const k of gojuon) expect(recognize(strokesFor(k.kana), gojuon)[0].kana).toBe(k.kana);
+  });
+
+  test('a smaller, off-centre copy still tells シ from ツ and ソ from ン', () => {
+    const squeeze = strokes => strokes.map(s => s.map(([x, y]) => [20 + x * 0.6, 10 + y * 0.6]));
+    const pool = KATAKANA.filter(k => ['シ', 'ツ', 'ソ', 'ン'].includes(k.kana));
+    for (const kana of ['シ', 'ツ', 'ソ', 'ン']) expect(recognize(squeeze(strokesFor(kana)), pool)[0].kana).toBe(kana);
+  });
+});
+
+describe('gradeTracing', () => {
+  const ref = strokesFor('ニ'), endings = endingsFor('ニ');
+  const clean = ref.map((pts, slot) => ({ pts, slot, ending: endings[slot] }));
+
+  test('a clean trace scores full marks with no retries', () => {
+    const g = gradeTracing(clean, ref, endings);
+    expect(g.grade).toBe(100);
+    expect(g.retries).toBe(0);
+    expect(g.strokes.map(s => s.tries)).toEqual([1, 1]);
+  });
+
+  test('a rejected try costs points and counts as a retry, not an extra stroke', () => {
+    const wobble = { pts: [[20, 60], [50, 90], [80, 60]], slot: 1 };
+    const g = gradeTracing([clean[0], wobble, clean[1]], ref, endings);
+    expect(g.retries).toBe(1);
+    expect(g.strokes[1]).toMatchObject({ tries: 2, score: 85 });
+    expect(g.grade).toBeLessThan(100);
+  });
+
+  test('a reversed try and a wrong ending are marked on the stroke', () => {
+    const backwards = { pts: [...ref[0]].reverse(), slot: 0 };
+    const g = gradeTracing([backwards, clean[0], { ...clean[1], ending: 'harai' }], ref, endings);
+    expect(g.strokes[0]).toMatchObject({ reversed: true, score: 75 });
+    expect(g.strokes[1]).toMatchObject({ endingOk: false, score: 90 });
+  });
+
+  test('strokes never drawn score zero', () => {
+    expect(gradeTracing(clean.slice(0, 1), ref, endings).strokes[1].score).toBe(0);
+  });
+});
+
+describe('recorded attempts', () => {
+  const attempt = {
+    id: 'a1', kana: 'ニ', at: NOW, grade: 88,
+    strokes: [
+      { ok: true, pts: [[20, 30, 0], [80, 30, 240]] },
+      { ok: false, pts: [[10, 70, 600], [90, 72, 900]] },
+    ],
+  };
+
+  test('JSON export imports back unchanged', () => {
+    expect(parseAttempts(attemptsToJSON([attempt]))).toEqual([attempt]);
+  });
+
+  test('an exported SVG carries its attempt in <metadata>', () => {
+    const svg = attemptToSVG(attempt);
+    expect(svg).toContain('data-stroke="2"');
+    expect(parseAttempts(svg)).toEqual([attempt]);
+  });
+
+  test('bare attempts get an id and a null grade; junk is refused', () => {
+    const [a] = parseAttempts(JSON.stringify({ kana: 'ア', at: NOW, strokes: [] }));
+    expect(typeof a.id).toBe('string');
+    expect(a.grade).toBeNull();
+    expect(() => parseAttempts('[{"kana": 1}]')).toThrow('No tracing attempts found.');
+    expect(() => parseAttempts('<svg xmlns="http://www.w3.org/2000/svg"></svg>')).toThrow('no recorded attempt');
+  });
+});
+
+describe('detectEnding', () => {
+  // a straight stroke across the glyph sampled every 16 ms, like pointer events; speed(u) is glyph units per
+  // ms at fraction u of the way along
+  const sample = (speed, { rest = 0, pressure = () => 0.5 } = {}) => {
+    const pts = [[10, 50]], t = [0], p = [pressure(0)];
+    for (let x = 10; x < 90;) {
+      x = Math.min(90, x + Math.max(0.05, 16 * speed((x - 10) / 80)));
+      pts.push([x, 50]); t.push(t[t.length - 1] + 16); p.push(pressure((x - 10) / 80));
+    }
+    return { pts, t, p, rest };
+  };
+
+  test('a mouse stroke lifted at full speed is harai', () => {
+    expect(detectEnding(sample(() => 0.4))).toBe('harai');
+  });
+
+  test('a mouse stroke that slows to a stop is tome, even when lifted straight away', () => {
+    expect(detectEnding(sample(u => (u < 0.75 ? 0.4 : 0.4 * Math.max(0.02, (1 - u) * 4))))).toBe('tome');
+  });
+
+  test('a mouse that stops dead between two events and lifts soon after is tome', () => {
+    // no move events arrive once the mouse stops, so the stop only shows up as the wait before pointerup
+    expect(detectEnding(sample(() => 0.4, { rest: 80 }))).toBe('tome');
+    expect(detectEnding(sample(() => 0.4, { rest: 10 }))).toBe('harai');
+  });
+
+  test('a flat pressure reading (touch) leaves it to speed', () => {
+    const touch = { pressure: () => 1 };
+    expect(detectEnding(sample(() => 0.4, touch))).toBe('harai');
+    expect(detectEnding(sample(u => (u < 0.75 ? 0.4 : 0.4 * Math.max(0.02, (1 - u) * 4)), touch))).toBe('tome');
+  });
+});
+
+describe('detectEnding in glyph units', () => {
+  // down, then a flick back up-left; evenly timed so speed plays no part
+  const hook = (size) => {
+    const pts = [];
+    for (let i = 0; i <= 20; i++) pts.push([50, 10 + (size * i) / 20]);
+    for (let i = 1; i <= 5; i++) pts.push([50 - (size * 0.15 * i) / 5, 10 + size - (size * 0.15 * i) / 5]);
+    return { pts, t: pts.map((_, i) => i * 16), p: pts.map(() => 0.5), rest: 0 };
+  };
+
+  test('a hane is found on a full-size stroke and on one as small as a combo\'s kana', () => {
+    expect(detectEnding(hook(60))).toBe('hane');
+    expect(detectEnding(hook(10))).toBe('hane');
+  });
+
+  test('a near-zero stroke is a tome', () => {
+    expect(detectEnding({ pts: [[50, 50], [50.02, 50], [50.04, 50], [50.06, 50]], t: [0, 16, 32, 48], p: [0.5, 0.5, 0.5, 0.5], rest: 0 })).toBe('tome');
+  });
+});
+
+describe('retryLast', () => {
+  const tries = oks => oks.map((ok, i) => ({ ok, i }));
+
+  test('drops the last accepted stroke', () => {
+    expect(retryLast(tries([true, false, true]))).toEqual(tries([true, false]));
+  });
+
+  test('after a rejected try, drops it and the accepted stroke before it', () => {
+    expect(retryLast(tries([true, true, false, false]))).toEqual(tries([true]));
+  });
+
+  test('with nothing accepted yet, clears the rejected tries', () => {
+    expect(retryLast(tries([false, false]))).toEqual([]);
+  });
+});
+
+describe('leaderboards', () => {
+  const run = (score, answered, ms) => ({ score, answered, ms, at: NOW, mode: 'kana2roma', pool: answered });
+
+  test('timed games rank on the count, then the faster run', () => {
+    const board = [run(10, 12, 60000), run(14, 20, 60000), run(10, 10, 50000)].sort(byRank);
+    expect(board.map(e => [e.score, e.ms])).toEqual([[14, 60000], [10, 50000], [10, 60000]]);
+  });
+
+  test('Perfect runs rank on accuracy before the raw count, so a small pool can\'t win by size', () => {
+    const small = run(5, 5, 8000), big = run(44, 46, 90000), cleanBig = run(46, 46, 120000);
+    expect([big, small, cleanBig].sort(byAccuracy)).toEqual([cleanBig, small, big]);
+  });
+
+  test('the "games use" note names every game mode', () => {
+    for (const m of GAME_MODES) expect(GAME_MODES_TEXT).toContain(MODE_LABELS[m]);
+    expect(GAME_MODES_TEXT).not.toContain(MODE_LABELS.words);
+  });
+});
+
+describe('lessons', () => {
+  const aRow = KATAKANA.filter(k => k.row === 'a');
+
+  test('"all" asks each kana once; a fixed length repeats the pool as needed', () => {
+    expect([...lessonQueue(aRow, 'all')].sort()).toEqual(aRow.map(k => k.kana).sort());
+    const twelve = lessonQueue(aRow, 12);
+    expect(twelve).toHaveLength(12);
+    expect(new Set(twelve.slice(0, 5)).size).toBe(5);
+    expect(lessonQueue([], 10)).toEqual([]);
+  });
+
+  test('the summary counts right-first-time per row and lists each missed kana once', () => {
+    const sum = lessonSummary([
+      { kana: 'ア', ok: true, skipped: false, ms: 900 },
+      { kana: 'カ', ok: false, skipped: false, ms: 2000 },
+      { kana: 'カ', ok: false, skipped: true, ms: 500 },
+      { kana: 'イ', ok: true, skipped: false, ms: 700 },
+    ]);
+    expect(sum.right).toBe(2);
+    expect(sum.missed).toEqual(['カ']);
+    expect(sum.byRow.map(r => [r.key, r.right, r.total])).toEqual([['a', 2, 2], ['ka', 0, 2]]);
+  });
+
+  test('formatDuration shows minutes and padded seconds', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(65400)).toBe('1:05');
+  });
+});
+
+describe('hiragana', () => {
+  test('toHiragana shifts katakana and leaves everything else alone', () => {
+    expect(toHiragana('カタカナ')).toBe('かたかな');
+    expect(toHiragana('ヴァ')).toBe('ゔぁ');
+    expect(toHiragana('コーヒー!')).toBe('こーひー!');
+  });
+
+  test('every table entry has a hiragana twin', () => {
+    expect(HIRAGANA['キャ']).toBe('きゃ');
+    expect(HIRAGANA['ッ']).toBe('っ');
+    for (const k of KATAKANA) expect(HIRAGANA[k.kana]).toBeTruthy();
+  });
+
+  test('a hiragana answer is judged in hiragana, with a nudge when katakana is typed', () => {
+    const ka = KATAKANA.find(k => k.kana === 'カ');
+    const prompt = { prompt: 'カ', answer: 'か', kind: 'hira' };
+    expect(judgeAnswer(ka, prompt, 'か', 'hepburn').good).toBe(true);
+    expect(judgeAnswer(ka, prompt, 'カ', 'hepburn')).toEqual({ good: false, notice: "That's the katakana — answer in hiragana" });
+    expect(judgeAnswer(ka, prompt, 'ka', 'hepburn').good).toBe(false);
+  });
+});
+
+describe('mnemonics', () => {
+  const entry = kana => KATAKANA.find(k => k.kana === kana);
+
+  test('every entry has a built-in mnemonic; voiced and combo ones are built from their parts', () => {
+    for (const k of KATAKANA) expect(builtinMnemonic(k)).toBeTruthy();
+    expect(builtinMnemonic(entry('ガ'))).toContain('゛');
+    expect(builtinMnemonic(entry('パ'))).toContain('゜');
+    expect(builtinMnemonic(entry('キャ'))).toContain('yōon');
+  });
+
+  test('an export imports back as just the learner\'s own mnemonics', () => {
+    const own = { ア: 'an axe', ン: 'nn, a sleepy eye' };
+    expect(parseMnemonics(mnemonicsToJSON(own))).toEqual(own);
+  });
+
+  test('a plain kana → text map is accepted; blanks, non-strings and unknown keys are dropped', () => {
+    expect(parseMnemonics(JSON.stringify({ カ: '  a blade ', キ: '', ク: 3, X: 'no' }))).toEqual({ カ: 'a blade' });
+    expect(() => parseMnemonics('{}')).toThrow('No mnemonics of your own found.');
+  });
+});
+
+describe('glyph fonts', () => {
+  test('each face names at least one font to look for', () => {
+    expect(namedFonts('"Noto Serif JP","Yu Mincho",serif')).toEqual(['Noto Serif JP', 'Yu Mincho']);
+    for (const f of GLYPH_FONTS) expect(namedFonts(f.family).length).toBeGreaterThan(0);
+  });
+});
+
+describe('study view', () => {
+  const rowOf = (...rows) => KATAKANA.filter(k => rows.includes(k.row));
+  const shown = lines => lines.map(l => l.map(e => e?.kana ?? '·').join(''));
+
+  test('gojūon lines leave gaps for missing vowels and give ン a line of its own', () => {
+    expect(shown(gojuonLines(rowOf('ya', 'wa'), GOJUON_VOWELS))).toEqual(['ヤ·ユ·ヨ', 'ワ···ヲ', 'ン····']);
+    expect(shown(gojuonLines(rowOf('kya'), YOON_VOWELS))).toEqual(['キャキュキョ']);
+  });
+
+  test('search matches kana, hiragana and a romaji prefix in any system', () => {
+    const shi = KATAKANA.find(k => k.kana === 'シ');
+    expect(matchesSearch(shi, '')).toBe(true);
+    expect(matchesSearch(shi, 'シ')).toBe(true);
+    expect(matchesSearch(shi, 'し')).toBe(true);
+    expect(matchesSearch(shi, 'SH')).toBe(true);
+    expect(matchesSearch(shi, 'si')).toBe(true);
+    expect(matchesSearch(shi, 'ka')).toBe(false);
+  });
+
+  test('status runs from new through learning to learned, or struggling', () => {
+    const counts = (attempts, correct) => ({ attempts, correct, reveals: 0, hints: 0, ms: 0 });
+    const card = reps => ({ ease: 2.5, interval: 6, reps, lapses: 0, due: NOW, last: NOW });
+    expect(studyStatus(undefined, undefined)).toBe('new');
+    expect(studyStatus(counts(1, 1), card(1))).toBe('learning');
+    expect(studyStatus(counts(5, 5), card(3))).toBe('learned');
+    expect(studyStatus(counts(5, 1), card(1))).toBe('struggling');
+  });
 });
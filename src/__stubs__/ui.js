@@ -0,0 +1,6 @@
+// Stand-in for the shadcn/ui components (src/components/ui, generated per project and not kept in this repo),
+// mapped in by package.json's jest.moduleNameMapper. Every export renders just its children, which is all the
+// render smoke test needs; behaviour is tested through the pure helpers App.js exports.
+const Passthrough = ({ children }) => children ?? null;
+
+module.exports = new Proxy({}, { get: (_, name) => (name === '__esModule' ? false : Passthrough) });